@@ -6,16 +6,56 @@ import {Server} from "socket.io";
 import * as http from "http";
 import Queue from "queue";
 import JobList from "./JobList.js";
+import {createJobStoreFromConfig} from "./stores/registry.js";
+import RetryPolicy, {getErrorStatus} from "./RetryPolicy.js";
 import ExpenseAccountMatcher from "./ExpenseAccountMatcher.js";
-import TransactionValidator, {WebhookException, ValidationError} from "./TransactionValidator.js";
+import RevenueAccountMatcher from "./RevenueAccountMatcher.js";
+import Backfill, {BackfillError} from "./Backfill.js";
+import WebhookSignature, {WebhookSignatureError} from "./WebhookSignature.js";
+import Auth from "./Auth.js";
+import RecentWrites from "./RecentWrites.js";
+import RuleEngine, {RuleError} from "./RuleEngine.js";
+import ExampleRetriever from "./ExampleRetriever.js";
+import CategoryHints from "./CategoryHints.js";
+import MerchantCache from "./MerchantCache.js";
+import MerchantCacheStore from "./stores/MerchantCacheStore.js";
+import TransactionValidator, {WebhookException, ValidationError, WEBHOOK_TRIGGERS, TRANSACTION_TYPES} from "./TransactionValidator.js";
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const RETRYABLE_STATUSES = new Set(['failed', 'timed_out']);
+const CLASSIFY_MODES = new Set(['auto', 'suggest']);
+const LOW_CONFIDENCE_ACTIONS = new Set(['review', 'tag']);
+// A transaction with a job in one of these states is not enqueued again by the backfill or an update webhook.
+const ACTIVE_JOB_STATUSES = new Set(['queued', 'in_progress', 'pending_review']);
 
 export default class App {
     #PORT;
     #ENABLE_UI;
-
+    #JOB_RETENTION_DAYS;
+    #JOB_TIMEOUT_SECONDS;
+    #CLASSIFY_MODE;
+    #AUTO_APPLY_MIN_CONFIDENCE;
+    #LOW_CONFIDENCE_ACTION;
+    #REVIEW_TAG;
+    #WEBHOOK_SECRET;
+    #WEBHOOK_TOLERANCE_SECONDS;
+    #WEBHOOK_TRIGGERS;
+    #FEW_SHOT_EXAMPLES;
+    #ENABLE_MERCHANT_CACHE;
+    #ENABLE_BUDGETS;
+    #CLASSIFY_TYPES;
+
+    #auth;
     #firefly;
     #provider;
     #expenseAccountMatcher;
+    #revenueAccountMatcher;
+    #ruleEngine;
+    #exampleRetriever;
+    #categoryHints;
+    #merchantCache;
+    #retryPolicy;
+    #recentWrites;
 
     #server;
     #io;
@@ -23,37 +63,117 @@ export default class App {
 
     #queue;
     #jobList;
+    #backfill;
 
     constructor() {
         this.#PORT = getConfigVariable("PORT", '3000');
         this.#ENABLE_UI = getConfigVariable("ENABLE_UI", 'false') === 'true';
+        this.#JOB_RETENTION_DAYS = parseInt(getConfigVariable("JOB_RETENTION_DAYS", '30'), 10);
+        this.#JOB_TIMEOUT_SECONDS = parseInt(getConfigVariable("JOB_TIMEOUT_SECONDS", '120'), 10);
+        this.#CLASSIFY_MODE = getConfigVariable("CLASSIFY_MODE", 'auto').toLowerCase();
+
+        if (!CLASSIFY_MODES.has(this.#CLASSIFY_MODE)) {
+            throw new Error(`CLASSIFY_MODE '${this.#CLASSIFY_MODE}' is not supported. Supported modes: ${Array.from(CLASSIFY_MODES).join(", ")}`);
+        }
+
+        this.#AUTO_APPLY_MIN_CONFIDENCE = parseFloat(getConfigVariable("AUTO_APPLY_MIN_CONFIDENCE", '0'));
+        this.#LOW_CONFIDENCE_ACTION = getConfigVariable("LOW_CONFIDENCE_ACTION", 'review').toLowerCase();
+        this.#REVIEW_TAG = getConfigVariable("FIREFLY_REVIEW_TAG", 'AI needs review');
+        this.#FEW_SHOT_EXAMPLES = parseInt(getConfigVariable("FEW_SHOT_EXAMPLES", '0'), 10);
+        this.#ENABLE_MERCHANT_CACHE = getConfigVariable("ENABLE_MERCHANT_CACHE", 'false') === 'true';
+        this.#ENABLE_BUDGETS = getConfigVariable("ENABLE_BUDGETS", 'false') === 'true';
+        this.#CLASSIFY_TYPES = new Set(
+            getConfigVariable("CLASSIFY_TYPES", 'withdrawal')
+                .split(",")
+                .map(type => type.trim().toLowerCase())
+                .filter(type => type.length > 0)
+        );
+
+        const unsupportedTypes = Array.from(this.#CLASSIFY_TYPES).filter(type => !TRANSACTION_TYPES.has(type));
+        if (unsupportedTypes.length > 0 || this.#CLASSIFY_TYPES.size === 0) {
+            throw new Error(`CLASSIFY_TYPES '${unsupportedTypes.join(", ")}' not supported. Supported types: ${Array.from(TRANSACTION_TYPES).join(", ")}`);
+        }
+        this.#WEBHOOK_SECRET = getConfigVariable("FIREFLY_WEBHOOK_SECRET", '');
+        this.#WEBHOOK_TOLERANCE_SECONDS = parseInt(getConfigVariable("FIREFLY_WEBHOOK_TOLERANCE_SECONDS", '300'), 10);
+        this.#WEBHOOK_TRIGGERS = new Set(
+            getConfigVariable("WEBHOOK_TRIGGERS", 'STORE_TRANSACTION')
+                .split(",")
+                .map(trigger => trigger.trim().toUpperCase())
+                .filter(trigger => trigger.length > 0)
+        );
+
+        const unsupportedTriggers = Array.from(this.#WEBHOOK_TRIGGERS).filter(trigger => !WEBHOOK_TRIGGERS.has(trigger));
+        if (unsupportedTriggers.length > 0) {
+            throw new Error(`WEBHOOK_TRIGGERS '${unsupportedTriggers.join(", ")}' not supported. Supported triggers: ${Array.from(WEBHOOK_TRIGGERS).join(", ")}`);
+        }
+
+        this.#recentWrites = new RecentWrites(parseInt(getConfigVariable("WEBHOOK_LOOP_WINDOW_SECONDS", '120'), 10));
+
+        if (!LOW_CONFIDENCE_ACTIONS.has(this.#LOW_CONFIDENCE_ACTION)) {
+            throw new Error(`LOW_CONFIDENCE_ACTION '${this.#LOW_CONFIDENCE_ACTION}' is not supported. Supported actions: ${Array.from(LOW_CONFIDENCE_ACTIONS).join(", ")}`);
+        }
     }
 
     async run() {
+        this.#auth = new Auth();
         this.#firefly = new FireflyService();
         this.#provider = createProviderFromConfig();
-        this.#expenseAccountMatcher = new ExpenseAccountMatcher(this.#provider, this.#firefly);
+        this.#merchantCache = new MerchantCache(new MerchantCacheStore(), {enabled: this.#ENABLE_MERCHANT_CACHE});
+        await this.#merchantCache.load();
+        this.#expenseAccountMatcher = new ExpenseAccountMatcher(this.#provider, this.#firefly, {merchantCache: this.#merchantCache});
+        this.#revenueAccountMatcher = new RevenueAccountMatcher(this.#firefly, {merchantCache: this.#merchantCache});
+        this.#retryPolicy = new RetryPolicy();
+        this.#categoryHints = new CategoryHints();
+        this.#exampleRetriever = new ExampleRetriever(this.#firefly, {limit: this.#FEW_SHOT_EXAMPLES});
+        this.#ruleEngine = new RuleEngine();
+        await this.#ruleEngine.load();
 
         this.#queue = new Queue({
-            timeout: 30 * 1000,
+            timeout: this.#JOB_TIMEOUT_SECONDS * 1000,
             concurrency: 1,
             autostart: true
         });
 
-        this.#queue.addEventListener('start', job => console.log('Job started', job))
-        this.#queue.addEventListener('success', event => console.log('Job success', event.job))
-        this.#queue.addEventListener('error', (err, job) => console.error('Job error', {err, job}))
-        this.#queue.addEventListener('timeout', event => console.log('Job timeout', event.job))
+        // By default the queue ends itself on the first error, silently dropping every job still waiting.
+        this.#queue.removeEventListener('error', this.#queue._errorHandler);
+
+        this.#queue.addEventListener('start', event => console.log('Job started', event.detail.job.jobId))
+        this.#queue.addEventListener('success', event => console.log('Job success', event.detail.job.jobId))
+        this.#queue.addEventListener('error', this.#onQueueError.bind(this))
+        this.#queue.addEventListener('timeout', this.#onQueueTimeout.bind(this))
 
         this.#express = express();
         this.#server = http.createServer(this.#express)
         this.#io = new Server(this.#server)
 
-        this.#jobList = new JobList();
+        this.#jobList = new JobList(createJobStoreFromConfig(), {retentionDays: this.#JOB_RETENTION_DAYS});
+        const unfinishedJobs = await this.#jobList.load();
+        setInterval(() => {
+            this.#jobList.pruneExpired()
+                .catch(error => console.error("Failed to prune expired jobs", error));
+        }, PRUNE_INTERVAL_MS).unref();
+
         this.#jobList.on('job created', data => this.#io.emit('job created', data));
         this.#jobList.on('job updated', data => this.#io.emit('job updated', data));
 
-        this.#express.use(express.json());
+        this.#backfill = new Backfill(this.#firefly, this.#jobList, {
+            enqueue: this.#enqueueBackfillTransaction.bind(this),
+            cancel: this.#cancelJob.bind(this),
+        }, {types: this.#CLASSIFY_TYPES});
+        this.#backfill.on('backfill updated', state => this.#io.emit('backfill updated', state));
+
+        // Keep the raw body around, the webhook signature is computed over the exact bytes Firefly III sent.
+        this.#express.use(express.json({
+            verify: (req, res, buffer) => {
+                req.rawBody = buffer;
+            }
+        }));
+
+        this.#express.get('/api/auth', this.#auth.status.bind(this.#auth))
+        this.#express.post('/api/login', this.#auth.login.bind(this.#auth))
+        this.#express.post('/api/logout', this.#auth.logout.bind(this.#auth))
+        this.#express.use(this.#auth.middleware())
+        this.#io.use(this.#auth.socketMiddleware())
 
         if (this.#ENABLE_UI) {
             this.#express.use('/', express.static('public'))
@@ -62,27 +182,88 @@ export default class App {
         this.#express.get('/api/transactions', this.#getTransactions.bind(this))
         this.#express.post('/api/classify', this.#postClassify.bind(this))
         this.#express.post('/api/classify/batch', this.#postClassifyBatch.bind(this))
+        this.#express.post('/api/jobs/:id/retry', this.#postJobRetry.bind(this))
+        this.#express.delete('/api/jobs/:id', this.#deleteJob.bind(this))
+        this.#express.post('/api/jobs/:id/undo', this.#postJobUndo.bind(this))
+        this.#express.get('/api/backfill', this.#getBackfill.bind(this))
+        this.#express.post('/api/backfill', this.#postBackfill.bind(this))
+        this.#express.post('/api/backfill/pause', this.#postBackfillPause.bind(this))
+        this.#express.post('/api/backfill/resume', this.#postBackfillResume.bind(this))
+        this.#express.delete('/api/backfill', this.#deleteBackfill.bind(this))
+        this.#express.get('/api/categories', this.#getCategories.bind(this))
+        this.#express.post('/api/categories/refresh', this.#postCategoriesRefresh.bind(this))
+        this.#express.get('/api/reviews', this.#getReviews.bind(this))
+        this.#express.post('/api/reviews/:id/approve', this.#postReviewApprove.bind(this))
+        this.#express.post('/api/reviews/:id/reject', this.#postReviewReject.bind(this))
+        this.#express.get('/api/rules', this.#getRules.bind(this))
+        this.#express.post('/api/rules', this.#postRule.bind(this))
+        this.#express.get('/api/rules/:id', this.#getRule.bind(this))
+        this.#express.put('/api/rules/:id', this.#putRule.bind(this))
+        this.#express.delete('/api/rules/:id', this.#deleteRule.bind(this))
         this.#express.post('/webhook', this.#onWebhook.bind(this))
 
         this.#server.listen(this.#PORT, async () => {
             console.log(`Application running on port ${this.#PORT}`);
+
+            if (this.#ENABLE_UI && !this.#auth.enabled) {
+                console.warn("ENABLE_UI is set without AUTH_MODE, the UI and the API are reachable without credentials");
+            }
+
+            if (!this.#WEBHOOK_SECRET) {
+                console.warn("FIREFLY_WEBHOOK_SECRET is not set, webhook deliveries are not verified");
+            }
+            await this.#resumeJobs(unfinishedJobs);
         });
 
         this.#io.on('connection', socket => {
             console.log('connected');
             socket.emit('jobs', Array.from(this.#jobList.getJobs().values()));
+            socket.emit('backfill updated', this.#backfill.getState());
         })
     }
 
-    #onWebhook(req, res) {
+    #onQueueError(event) {
+        const {error, job: worker} = event.detail;
+        console.error('Job error', {jobId: worker.jobId, error});
+
+        const cause = error instanceof JobStageError ? error.cause : error;
+        this.#jobList.setJobFailed(worker.jobId, {
+            name: cause?.name ?? 'Error',
+            message: cause?.message ?? String(cause),
+            stage: error instanceof JobStageError ? error.stage : null,
+        });
+    }
+
+    #onQueueTimeout(event) {
+        const worker = event.detail.job;
+        console.warn('Job timeout', worker.jobId);
+
+        this.#jobList.setJobTimedOut(worker.jobId, {
+            timeoutSeconds: this.#JOB_TIMEOUT_SECONDS,
+            stage: worker.context?.stage ?? null,
+        });
+    }
+
+    async #onWebhook(req, res) {
         try {
             console.info("Webhook triggered");
-            this.#handleWebhook(req);
-            res.send("Queued");
+
+            if (this.#WEBHOOK_SECRET) {
+                WebhookSignature.verify({
+                    header: req.get('Signature'),
+                    rawBody: req.rawBody,
+                    secret: this.#WEBHOOK_SECRET,
+                    toleranceSeconds: this.#WEBHOOK_TOLERANCE_SECONDS,
+                });
+            }
+
+            res.send(await this.#handleWebhook(req));
         } catch (e) {
             console.error(e)
 
-            if (e instanceof WebhookException) {
+            if (e instanceof WebhookSignatureError) {
+                res.status(401).send(e.message);
+            } else if (e instanceof WebhookException) {
                 res.status(400).send(e.message);
             } else if (e instanceof ValidationError) {
                 res.status(e.code).send(e.message);
@@ -92,13 +273,66 @@ export default class App {
         }
     }
 
-    #handleWebhook(req) {
-        const validated = TransactionValidator.validateWebhookPayload(req.body);
+    /**
+     * The configured triggers, plus UPDATE_TRANSACTION while the merchant cache is on: a category corrected by hand in
+     * Firefly III must reach the cache even when updates are not classified again.
+     * @returns {Set<string>}
+     */
+    #acceptedWebhookTriggers() {
+        if (!this.#ENABLE_MERCHANT_CACHE || this.#WEBHOOK_TRIGGERS.has('UPDATE_TRANSACTION')) {
+            return this.#WEBHOOK_TRIGGERS;
+        }
+
+        return new Set([...this.#WEBHOOK_TRIGGERS, 'UPDATE_TRANSACTION']);
+    }
+
+    async #handleWebhook(req) {
+        const validated = TransactionValidator.validateWebhookPayload(req.body, this.#acceptedWebhookTriggers(), this.#CLASSIFY_TYPES);
+
+        if (validated.trigger === 'DESTROY_TRANSACTION') {
+            const jobs = this.#findActiveJobs(validated.transactionId)
+                .filter(job => job.status === 'queued' || job.status === 'pending_review');
+            jobs.forEach(job => this.#cancelJob(job));
+
+            return `Cancelled ${jobs.length} job(s)`;
+        }
+
+        if (validated.trigger === 'UPDATE_TRANSACTION') {
+            // Our own updates fire webhooks too, reacting to them would classify the same transaction over and over.
+            if (this.#recentWrites.has(validated.transactionId)) {
+                console.info(`Ignoring update of transaction ${validated.transactionId}, it was written by the categorizer`);
+                return "Ignored";
+            }
+
+            if (!validated.classifiable) {
+                // The user set or changed the category, the merchant cache must not keep proposing the old one.
+                const categoryName = validated.transactions[0]?.category_name ?? null;
+                if (await this.#merchantCache.invalidateIfChanged(cacheSubjectOf(validated), categoryName)) {
+                    console.info(`Merchant cache entry of transaction ${validated.transactionId} invalidated, category changed to '${categoryName}'`);
+                    return "Cache invalidated";
+                }
+
+                return "Ignored";
+            }
+
+            if (!this.#WEBHOOK_TRIGGERS.has('UPDATE_TRANSACTION')) {
+                // Only accepted to keep the merchant cache up to date.
+                return "Ignored";
+            }
+
+            if (this.#findActiveJobs(validated.transactionId).length > 0) {
+                console.info(`Ignoring update of transaction ${validated.transactionId}, a job is already active`);
+                return "Ignored";
+            }
+        }
 
         const job = this.#jobList.createJob({
             transactionId: validated.transactionId,
+            type: validated.type,
             destinationName: validated.destinationName,
-            description: validated.description
+            sourceName: validated.sourceName,
+            description: validated.description,
+            dryRun: this.#isDryRun()
         });
 
         this.#enqueueClassificationJob({
@@ -108,6 +342,13 @@ export default class App {
             destinationName: validated.destinationName,
             description: validated.description
         });
+
+        return "Queued";
+    }
+
+    #findActiveJobs(transactionId) {
+        return Array.from(this.#jobList.getJobs().values())
+            .filter(job => String(job.data.transactionId) === String(transactionId) && ACTIVE_JOB_STATUSES.has(job.status));
     }
 
     async #getTransactions(req, res) {
@@ -165,6 +406,7 @@ export default class App {
                 items,
                 pagination,
                 rawLinks: links,
+                classifyTypes: Array.from(this.#CLASSIFY_TYPES),
             });
         } catch (error) {
             console.error("Failed to fetch transactions", error);
@@ -181,7 +423,9 @@ export default class App {
                 return;
             }
 
-            const job = await this.#createClassificationJobFromTransactionId(transactionId);
+            const job = await this.#createClassificationJobFromTransactionId(transactionId, {
+                dryRun: this.#isDryRun(req.body?.dryRun)
+            });
 
             res.status(202).json({job});
         } catch (error) {
@@ -220,12 +464,13 @@ export default class App {
                 return;
             }
 
+            const dryRun = this.#isDryRun(req.body?.dryRun);
             const jobs = [];
             const errors = [];
 
             for (const id of normalizedIds) {
                 try {
-                    const job = await this.#createClassificationJobFromTransactionId(id);
+                    const job = await this.#createClassificationJobFromTransactionId(id, {dryRun});
                     jobs.push(job);
                 } catch (error) {
                     console.error(`Failed to enqueue classification job for transaction ${id}`, error);
@@ -267,21 +512,428 @@ export default class App {
         }
     }
 
-    async #createClassificationJobFromTransactionId(transactionId) {
-        const transaction = await this.#firefly.getTransaction(transactionId);
-        const transactionData = transaction?.data;
-        if (!transactionData) {
-            throw new HttpError(404, "Transaction not found");
+    async #postJobRetry(req, res) {
+        try {
+            const job = this.#jobList.getJob(req.params.id);
+            if (!job) {
+                throw new HttpError(404, "Job not found");
+            }
+
+            if (!RETRYABLE_STATUSES.has(job.status)) {
+                throw new HttpError(409, `Only failed or timed out jobs can be retried, job is ${job.status}`);
+            }
+
+            const {normalizedId, splits, primarySplit} = await this.#fetchClassifiableTransaction(job.data.transactionId);
+
+            if (job.data.review?.decision === 'approved') {
+                // Apply the reviewed proposal again instead of asking the provider for a new, unreviewed one.
+                this.#jobList.resetJob(job.id, job.data);
+                this.#enqueueApprovalJob({job, transactionId: normalizedId, transactions: splits});
+
+                res.status(202).json({job});
+                return;
+            }
+
+            this.#jobList.resetJob(job.id, {
+                transactionId: normalizedId,
+                type: primarySplit.type,
+                destinationName: primarySplit.destination_name,
+                sourceName: primarySplit.source_name ?? null,
+                description: primarySplit.description,
+                dryRun: job.data.dryRun ?? false
+            });
+
+            this.#enqueueClassificationJob({
+                job,
+                transactionId: normalizedId,
+                transactions: splits,
+                destinationName: primarySplit.destination_name,
+                description: primarySplit.description
+            });
+
+            res.status(202).json({job});
+        } catch (error) {
+            console.error(`Failed to retry job ${req.params.id}`, error);
+
+            if (error instanceof ValidationError || error instanceof HttpError) {
+                res.status(error.code).send(error.message);
+            } else {
+                res.status(500).send("Unable to retry job");
+            }
         }
+    }
 
-        const splits = transactionData?.attributes?.transactions ?? [];
-        const primarySplit = TransactionValidator.validateTransactionSplits(splits);
-        const normalizedId = transactionData.id ?? String(transactionId);
+    #deleteJob(req, res) {
+        try {
+            const job = this.#jobList.getJob(req.params.id);
+            if (!job) {
+                throw new HttpError(404, "Job not found");
+            }
+
+            if (job.status !== 'queued') {
+                throw new HttpError(409, `Only queued jobs can be cancelled, job is ${job.status}`);
+            }
+
+            this.#cancelJob(job);
+
+            res.json({job});
+        } catch (error) {
+            console.error(`Failed to cancel job ${req.params.id}`, error);
+
+            if (error instanceof HttpError) {
+                res.status(error.code).send(error.message);
+            } else {
+                res.status(500).send("Unable to cancel job");
+            }
+        }
+    }
+
+    async #postJobUndo(req, res) {
+        try {
+            const job = this.#jobList.getJob(req.params.id);
+            if (!job) {
+                throw new HttpError(404, "Job not found");
+            }
+
+            if (job.status !== 'finished' || !job.data.snapshot) {
+                throw new HttpError(409, `Only finished jobs that wrote to Firefly III can be undone, job is ${job.status}`);
+            }
+
+            await this.#firefly.restoreTransaction(job.data.transactionId, job.data.snapshot.splits);
+            console.info(`[Job ${job.id}] Transaction ${job.data.transactionId} restored`);
+
+            if (job.data.cacheKey) {
+                await this.#merchantCache.forget(job.data.cacheKey);
+            }
+
+            const undo = {undoneAt: new Date(), deletedAccountId: null, keptAccountReason: null};
+            const createdAccountId = job.data.createdAccountId;
+
+            if (req.body?.deleteCreatedAccount === true && createdAccountId) {
+                const usage = await this.#firefly.countAccountTransactions(createdAccountId);
+
+                if (usage === 0) {
+                    await this.#firefly.deleteAccount(createdAccountId);
+                    undo.deletedAccountId = createdAccountId;
+                    console.info(`[Job ${job.id}] Deleted expense account ${createdAccountId}`);
+                } else {
+                    undo.keptAccountReason = `Account is still used by ${usage} transaction(s)`;
+                    console.info(`[Job ${job.id}] Kept expense account ${createdAccountId}: ${undo.keptAccountReason}`);
+                }
+            }
+
+            this.#jobList.updateJobData(job.id, {...job.data, undo});
+            this.#jobList.setJobUndone(job.id);
+
+            res.json({job});
+        } catch (error) {
+            console.error(`Failed to undo job ${req.params.id}`, error);
+
+            if (error instanceof HttpError) {
+                res.status(error.code).send(error.message);
+            } else {
+                res.status(500).send("Unable to undo job");
+            }
+        }
+    }
+
+    #cancelJob(job) {
+        const index = this.#queue.jobs.findIndex(worker => worker.jobId === job.id);
+        if (index !== -1) {
+            this.#queue.jobs.splice(index, 1);
+        }
+
+        this.#jobList.setJobCancelled(job.id);
+        console.info(`[Job ${job.id}] Cancelled`);
+    }
+
+    /**
+     * Whether a new job must only store its proposal instead of writing to Firefly.
+     * A request can ask for a dry run, but never opt out of CLASSIFY_MODE=suggest.
+     * @param {*} [requested] - The dryRun flag sent with the request
+     * @returns {boolean}
+     */
+    #isDryRun(requested = false) {
+        return requested === true || this.#CLASSIFY_MODE === 'suggest';
+    }
+
+    async #getCategories(req, res) {
+        try {
+            const categories = await this.#firefly.getCategories();
+
+            res.json({
+                categories: Array.from(categories.keys()).sort((a, b) => a.localeCompare(b)),
+            });
+        } catch (error) {
+            console.error("Failed to fetch categories", error);
+            const status = error?.code ?? 500;
+            res.status(status).send(error?.message ?? "Unable to fetch categories");
+        }
+    }
+
+    async #postCategoriesRefresh(req, res) {
+        this.#firefly.invalidateCategories();
+        console.info("Category cache invalidated");
+
+        await this.#getCategories(req, res);
+    }
+
+    #getReviews(req, res) {
+        const reviews = Array.from(this.#jobList.getJobs().values())
+            .filter(job => job.status === 'pending_review')
+            .map(job => ({
+                id: job.id,
+                created: job.created,
+                transactionId: job.data.transactionId,
+                description: job.data.description,
+                destinationName: job.data.destinationName,
+                category: job.data.category ?? null,
+                confidence: job.data.confidence ?? null,
+                reasoning: job.data.reasoning ?? null,
+                type: job.data.type ?? 'withdrawal',
+                sourceName: job.data.sourceName ?? null,
+                expenseAccount: job.data.expenseAccount ?? null,
+                revenueAccount: job.data.revenueAccount ?? null,
+                splits: job.data.splits ?? null,
+                budget: job.data.budget ?? null,
+            }));
+
+        res.json({reviews});
+    }
+
+    async #postReviewApprove(req, res) {
+        try {
+            const job = this.#getPendingReviewJob(req.params.id);
+            const data = {...job.data, dryRun: false};
+            const overrides = {};
+
+            const categoryOverride = req.body?.category;
+            if (typeof categoryOverride === "string" && categoryOverride.trim().length > 0 && categoryOverride !== data.category) {
+                const categories = await this.#firefly.getCategories({refreshIfMissing: categoryOverride});
+                if (!categories.has(categoryOverride)) {
+                    throw new HttpError(400, `Category '${categoryOverride}' does not exist`);
+                }
+
+                data.category = categoryOverride;
+                overrides.category = categoryOverride;
+
+                // A category chosen in the review replaces the proposal of every split.
+                if (data.splits) {
+                    data.splits = data.splits.map(split => ({...split, category: categoryOverride}));
+                }
+            }
+
+            // Transfers move money between own accounts, there is no counterparty account to override.
+            const accountField = accountFieldOf(data.type);
+            const accountOverride = accountField ? req.body?.[accountField]?.name : null;
+            if (typeof accountOverride === "string" && accountOverride.trim().length > 0 && accountOverride.trim() !== data[accountField]?.name) {
+                data[accountField] = await this.#buildOverriddenAccount(accountOverride.trim(), 'review', accountTypeOf(data.type));
+                overrides[accountField] = data[accountField].name;
+            }
+
+            data.review = {decision: 'approved', decidedAt: new Date(), overrides};
+
+            const {normalizedId, splits} = await this.#fetchClassifiableTransaction(data.transactionId);
+
+            this.#jobList.resetJob(job.id, data);
+            this.#enqueueApprovalJob({job, transactionId: normalizedId, transactions: splits});
+
+            res.status(202).json({job});
+        } catch (error) {
+            console.error(`Failed to approve review ${req.params.id}`, error);
+
+            if (error instanceof ValidationError || error instanceof HttpError) {
+                res.status(error.code).send(error.message);
+            } else {
+                res.status(500).send("Unable to approve review");
+            }
+        }
+    }
+
+    #postReviewReject(req, res) {
+        try {
+            const job = this.#getPendingReviewJob(req.params.id);
+
+            this.#jobList.updateJobData(job.id, {
+                ...job.data,
+                review: {decision: 'rejected', decidedAt: new Date(), overrides: {}},
+            });
+            this.#jobList.setJobRejected(job.id);
+            console.info(`[Job ${job.id}] Proposal rejected`);
+
+            res.json({job});
+        } catch (error) {
+            console.error(`Failed to reject review ${req.params.id}`, error);
+
+            if (error instanceof HttpError) {
+                res.status(error.code).send(error.message);
+            } else {
+                res.status(500).send("Unable to reject review");
+            }
+        }
+    }
+
+    #getPendingReviewJob(id) {
+        const job = this.#jobList.getJob(id);
+        if (!job) {
+            throw new HttpError(404, "Review not found");
+        }
+
+        if (job.status !== 'pending_review') {
+            throw new HttpError(409, `Job is ${job.status}, not pending review`);
+        }
+
+        return job;
+    }
+
+    async #buildOverriddenAccount(accountName, source = 'review', accountType = 'expense') {
+        const suggestions = await this.#firefly.getAccountSuggestions(accountName, 50, accountType);
+        const existingAccount = suggestions.find(
+            suggestion => suggestion.name.toLowerCase() === accountName.toLowerCase()
+        );
+
+        if (existingAccount) {
+            return {
+                name: existingAccount.name,
+                description: '',
+                action: 'matched',
+                decision: 'existing',
+                source,
+                accountId: existingAccount.id,
+            };
+        }
+
+        return {
+            name: accountName,
+            description: '',
+            action: 'created',
+            decision: 'create',
+            source,
+            accountId: null,
+        };
+    }
+
+    #getRules(req, res) {
+        res.json({rules: this.#ruleEngine.getRules()});
+    }
 
+    #getRule(req, res) {
+        this.#handleRuleAction(res, async () => this.#ruleEngine.getRule(req.params.id));
+    }
+
+    #postRule(req, res) {
+        this.#handleRuleAction(res, async () => {
+            await this.#assertRuleCategoryExists(req.body);
+            return this.#ruleEngine.createRule(req.body);
+        }, 201);
+    }
+
+    #putRule(req, res) {
+        this.#handleRuleAction(res, async () => {
+            await this.#assertRuleCategoryExists(req.body);
+            return this.#ruleEngine.updateRule(req.params.id, req.body);
+        });
+    }
+
+    #deleteRule(req, res) {
+        this.#handleRuleAction(res, async () => this.#ruleEngine.deleteRule(req.params.id));
+    }
+
+    async #handleRuleAction(res, action, successStatus = 200) {
+        try {
+            res.status(successStatus).json(await action());
+        } catch (error) {
+            console.error("Rule action failed", error);
+
+            if (error instanceof RuleError) {
+                res.status(error.code).send(error.message);
+            } else {
+                res.status(500).send("Unable to update the rules");
+            }
+        }
+    }
+
+    async #assertRuleCategoryExists(input) {
+        if (typeof input?.category !== 'string' || input.category.trim().length === 0) {
+            return;
+        }
+
+        const categories = await this.#firefly.getCategories({refreshIfMissing: input.category.trim()});
+        if (!categories.has(input.category.trim())) {
+            throw new RuleError(400, `Category '${input.category}' does not exist in Firefly III`);
+        }
+    }
+
+    #getBackfill(req, res) {
+        res.json(this.#backfill.getState());
+    }
+
+    #postBackfill(req, res) {
+        this.#handleBackfillAction(res, () => {
+            const maxCount = req.body?.maxCount != null ? parseInt(req.body.maxCount, 10) : 0;
+            const accountId = req.body?.accountId != null && String(req.body.accountId).trim().length > 0
+                ? String(req.body.accountId).trim()
+                : null;
+
+            return this.#backfill.start({
+                start: req.body?.start || null,
+                end: req.body?.end || null,
+                accountId,
+                maxCount: Number.isNaN(maxCount) ? -1 : maxCount,
+                dryRun: this.#isDryRun(req.body?.dryRun),
+            });
+        }, 202);
+    }
+
+    #postBackfillPause(req, res) {
+        this.#handleBackfillAction(res, () => this.#backfill.pause());
+    }
+
+    #postBackfillResume(req, res) {
+        this.#handleBackfillAction(res, () => this.#backfill.resume());
+    }
+
+    #deleteBackfill(req, res) {
+        this.#handleBackfillAction(res, () => this.#backfill.cancel());
+    }
+
+    #handleBackfillAction(res, action, successStatus = 200) {
+        try {
+            res.status(successStatus).json(action());
+        } catch (error) {
+            console.error("Backfill action failed", error);
+
+            if (error instanceof BackfillError) {
+                res.status(error.code).send(error.message);
+            } else {
+                res.status(500).send("Unable to update the backfill");
+            }
+        }
+    }
+
+    #enqueueBackfillTransaction({transactionId, splits, primarySplit, dryRun, backfillRunId}) {
+        if (this.#findActiveJobs(transactionId).length > 0) {
+            return null;
+        }
+
+        return this.#createClassificationJob({normalizedId: transactionId, splits, primarySplit, dryRun, backfillRunId});
+    }
+
+    async #createClassificationJobFromTransactionId(transactionId, {dryRun = false} = {}) {
+        const {normalizedId, splits, primarySplit} = await this.#fetchClassifiableTransaction(transactionId);
+
+        return this.#createClassificationJob({normalizedId, splits, primarySplit, dryRun});
+    }
+
+    #createClassificationJob({normalizedId, splits, primarySplit, dryRun, backfillRunId = null}) {
         const job = this.#jobList.createJob({
             transactionId: normalizedId,
+            type: primarySplit.type,
             destinationName: primarySplit.destination_name,
-            description: primarySplit.description
+            sourceName: primarySplit.source_name ?? null,
+            description: primarySplit.description,
+            dryRun,
+            ...(backfillRunId ? {backfillRunId} : {})
         });
 
         this.#enqueueClassificationJob({
@@ -295,128 +947,557 @@ export default class App {
         return job;
     }
 
+    async #fetchClassifiableTransaction(transactionId) {
+        const transaction = await this.#firefly.getTransaction(transactionId);
+        const transactionData = transaction?.data;
+        if (!transactionData) {
+            throw new HttpError(404, "Transaction not found");
+        }
+
+        const splits = transactionData?.attributes?.transactions ?? [];
+        const primarySplit = TransactionValidator.validateTransactionSplits(splits, this.#CLASSIFY_TYPES);
+        const normalizedId = transactionData.id ?? String(transactionId);
+
+        return {normalizedId, splits, primarySplit};
+    }
+
+    async #resumeJobs(jobs) {
+        if (jobs.length > 0) {
+            console.info(`Resuming ${jobs.length} unfinished job(s)`);
+        }
+
+        for (const job of jobs) {
+            try {
+                await this.#resumeJob(job);
+            } catch (error) {
+                console.error(`[Job ${job.id}] Could not be resumed:`, error.message);
+                this.#jobList.setJobFailed(job.id, {name: error.name, message: error.message, stage: 'resume'});
+            }
+        }
+    }
+
+    async #resumeJob(job) {
+        // Fetch the transaction again: the splits were not persisted and may have changed while we were down.
+        const {normalizedId, splits, primarySplit} = await this.#fetchClassifiableTransaction(job.data.transactionId);
+
+        this.#jobList.setJobQueued(job.id);
+
+        if (job.data.review?.decision === 'approved') {
+            // The proposal was reviewed before the restart: apply it, don't ask the provider for a new one.
+            this.#enqueueApprovalJob({job, transactionId: normalizedId, transactions: splits});
+            return;
+        }
+
+        this.#enqueueClassificationJob({
+            job,
+            transactionId: normalizedId,
+            transactions: splits,
+            destinationName: primarySplit.destination_name,
+            description: primarySplit.description
+        });
+    }
+
     #enqueueClassificationJob({job, transactionId, transactions, destinationName, description}) {
-        this.#queue.push(async () => {
+        const worker = async () => {
             const context = new JobContext(job, transactionId, transactions, destinationName, description);
+            worker.context = context;
+
+            if (this.#jobList.getJob(job.id).status === 'cancelled') {
+                return;
+            }
 
             try {
                 console.info(`[Job ${job.id}] Starting classification for transaction ${transactionId}`);
                 this.#jobList.setJobInProgress(job.id);
 
-                await this.#executeClassification(context);
-                await this.#executeAccountMatching(context);
+                context.stage = 'classification';
+                context.setRule(this.#ruleEngine.match(transactions[0]));
+                await this.#withRetry(context, () => this.#executeClassification(context));
+
+                context.stage = 'budget';
+                await this.#withRetry(context, () => this.#executeBudgetAssignment(context));
+
+                context.stage = 'account_matching';
+                await this.#withRetry(context, () => this.#executeAccountMatching(context));
 
                 this.#jobList.updateJobData(job.id, context.jobData);
 
-                await this.#applyClassificationResults(context);
+                if (!this.#isStillInProgress(context)) {
+                    return;
+                }
+
+                if (context.jobData.dryRun) {
+                    this.#jobList.setJobPendingReview(job.id);
+                    console.info(`[Job ${job.id}] Dry run, proposal stored for review`);
+                    return;
+                }
+
+                if (this.#isBelowAutoApplyThreshold(context)) {
+                    await this.#handleLowConfidence(context);
+                    return;
+                }
+
+                context.stage = 'apply';
+                await this.#withRetry(context, () => this.#applyClassificationResults(context));
+
+                if (!this.#isStillInProgress(context)) {
+                    return;
+                }
 
                 this.#jobList.setJobFinished(job.id);
                 console.info(`[Job ${job.id}] Completed successfully`);
             } catch (error) {
-                console.error(`[Job ${job.id}] Failed:`, error.message);
-                throw error;
+                console.error(`[Job ${job.id}] Failed during ${context.stage}:`, error.message);
+                throw new JobStageError(context.stage, error);
+            }
+        };
+        worker.jobId = job.id;
+
+        this.#queue.push(worker);
+    }
+
+    #enqueueApprovalJob({job, transactionId, transactions}) {
+        const worker = async () => {
+            const context = new JobContext(job, transactionId, transactions, job.data.destinationName, job.data.description);
+            worker.context = context;
+
+            if (this.#jobList.getJob(job.id).status === 'cancelled') {
+                return;
+            }
+
+            try {
+                console.info(`[Job ${job.id}] Applying approved proposal for transaction ${transactionId}`);
+                this.#jobList.setJobInProgress(job.id);
+
+                context.stage = 'apply';
+                context.setApprovedCategory(await this.#firefly.getCategories({refreshIfMissing: context.jobData.category}));
+                if (!this.#isStillInProgress(context)) {
+                    return;
+                }
+
+                await this.#withRetry(context, () => this.#applyClassificationResults(context));
+
+                if (!this.#isStillInProgress(context)) {
+                    return;
+                }
+
+                this.#jobList.setJobFinished(job.id);
+                console.info(`[Job ${job.id}] Approved proposal applied`);
+            } catch (error) {
+                console.error(`[Job ${job.id}] Failed during ${context.stage}:`, error.message);
+                throw new JobStageError(context.stage, error);
+            }
+        };
+        worker.jobId = job.id;
+
+        this.#queue.push(worker);
+    }
+
+    /**
+     * The queue marks a job timed out and moves on, but cannot stop its worker. Checked before a worker writes to
+     * Firefly III or changes the status, so a timed out job neither applies anything nor overwrites its status.
+     * @param {JobContext} context
+     * @returns {boolean}
+     */
+    #isStillInProgress(context) {
+        const status = this.#jobList.getJob(context.job.id).status;
+        if (status === 'in_progress') {
+            return true;
+        }
+
+        console.warn(`[Job ${context.job.id}] Job is ${status} during ${context.stage}, stopping without further changes`);
+        return false;
+    }
+
+    #isBelowAutoApplyThreshold(context) {
+        if (!context.jobData.category || this.#AUTO_APPLY_MIN_CONFIDENCE <= 0) {
+            return false;
+        }
+
+        return (context.jobData.confidence ?? 0) < this.#AUTO_APPLY_MIN_CONFIDENCE;
+    }
+
+    async #handleLowConfidence(context) {
+        const jobId = context.job.id;
+        context.jobData.lowConfidence = {
+            threshold: this.#AUTO_APPLY_MIN_CONFIDENCE,
+            action: this.#LOW_CONFIDENCE_ACTION,
+        };
+        this.#jobList.updateJobData(jobId, context.jobData);
+
+        if (this.#LOW_CONFIDENCE_ACTION === 'review') {
+            this.#jobList.setJobPendingReview(jobId);
+            console.info(`[Job ${jobId}] Confidence ${context.jobData.confidence} below ${this.#AUTO_APPLY_MIN_CONFIDENCE}, parked for review`);
+            return;
+        }
+
+        context.stage = 'apply';
+        this.#snapshotTransaction(context);
+        this.#recentWrites.record(context.transactionId);
+        await this.#withRetry(context, () => this.#firefly.addTag(context.transactionId, context.transactions, this.#REVIEW_TAG));
+        this.#recentWrites.record(context.transactionId);
+
+        if (!this.#isStillInProgress(context)) {
+            return;
+        }
+
+        this.#jobList.setJobFinished(jobId);
+        console.info(`[Job ${jobId}] Confidence ${context.jobData.confidence} below ${this.#AUTO_APPLY_MIN_CONFIDENCE}, tagged '${this.#REVIEW_TAG}'`);
+    }
+
+    async #withRetry(context, operation) {
+        return this.#retryPolicy.execute(operation, {
+            onRetry: ({attempt, maxAttempts, delayMs, error}) => {
+                if (this.#jobList.getJob(context.job.id).status === 'timed_out') {
+                    throw error;
+                }
+
+                console.warn(`[Job ${context.job.id}] ${context.stage} failed (${error.message}), retry ${attempt}/${maxAttempts} in ${delayMs}ms`);
+                this.#jobList.recordRetry(context.job.id, {
+                    stage: context.stage,
+                    attempt,
+                    maxAttempts,
+                    delayMs,
+                    error: {name: error.name, message: error.message, status: getErrorStatus(error)},
+                });
             }
         });
     }
 
     async #executeClassification(context) {
-        const categories = await this.#firefly.getCategories();
+        const categoryDetails = await this.#firefly.getCategoryDetails();
+        const categories = new Map(categoryDetails.map(category => [category.name, category.id]));
+        const categoryHints = await this.#categoryHints.describe(categoryDetails);
+        context.jobData.cacheHit = null;
+
+        if (context.transactions.length > 1) {
+            await this.#executeSplitClassification(context, categories, categoryHints);
+            return;
+        }
+
+        if (context.rule?.category) {
+            context.setClassification({
+                category: context.rule.category,
+                confidence: 1,
+                reasoning: `Matched rule '${context.rule.name}'`,
+            }, categories);
+            console.info(`[Job ${context.job.id}] Classification: ${context.rule.category} (rule '${context.rule.name}')`);
+            return;
+        }
+
+        const cached = this.#merchantCache.get(context.cacheSubject);
+        if (cached?.category && categories.has(cached.category)) {
+            context.setClassification({
+                category: cached.category,
+                confidence: 1,
+                reasoning: `Same merchant as transaction ${cached.transactionId}`,
+            }, categories);
+            context.recordCacheHit(cached.key, 'category');
+            console.info(`[Job ${context.job.id}] Classification: ${cached.category} (merchant cache)`);
+            return;
+        }
+
+        const {classification, prompt, response, provider, consensus, examples} = await this.#classifyWithProvider(context, {
+            categories,
+            categoryHints,
+            destinationName: context.destinationName,
+            sourceName: context.sourceName,
+            description: context.description,
+            amount: context.transactions[0]?.amount ?? null,
+        });
+        context.jobData.examples = examples;
+
+        context.setClassification(classification, categories, {prompt, response, provider, consensus});
+        console.info(`[Job ${context.job.id}] Classification: ${classification?.category || 'none'} (confidence ${context.jobData.confidence ?? 'n/a'})`);
+    }
+
+    /**
+     * Classify every uncategorized split on its own, with its own description and amount.
+     * The merchant cache is not consulted: all splits share the merchant, but not the category.
+     */
+    async #executeSplitClassification(context, categories, categoryHints) {
+        const count = context.transactions.length;
+        const results = [];
+
+        for (const [index, split] of context.transactions.entries()) {
+            if (split.category_id != null) {
+                continue;
+            }
+
+            const result = {
+                transactionJournalId: String(split.transaction_journal_id),
+                description: split.description ?? null,
+                amount: split.amount ?? null,
+                category: null,
+                confidence: null,
+                reasoning: null,
+                rule: null,
+                examples: [],
+                prompt: null,
+                response: null,
+                provider: null,
+                consensus: null,
+            };
+
+            const rule = this.#ruleEngine.match(split);
+            if (rule?.category) {
+                Object.assign(result, {
+                    category: rule.category,
+                    confidence: 1,
+                    reasoning: `Matched rule '${rule.name}'`,
+                    rule: {id: rule.id, name: rule.name},
+                });
+            } else {
+                const {classification, prompt, response, provider, consensus, examples} = await this.#classifyWithProvider(context, {
+                    categories,
+                    categoryHints,
+                    destinationName: split.destination_name,
+                    sourceName: split.source_name ?? null,
+                    description: split.description,
+                    amount: split.amount ?? null,
+                    split: {index, count, amount: split.amount},
+                });
+
+                Object.assign(result, {
+                    category: classification?.category || null,
+                    confidence: normalizeConfidence(classification?.confidence),
+                    reasoning: classification?.reasoning || null,
+                    examples,
+                    prompt,
+                    response,
+                    provider,
+                    consensus,
+                });
+            }
+
+            results.push(result);
+            console.info(`[Job ${context.job.id}] Split ${index + 1}/${count} classification: ${result.category || 'none'} (confidence ${result.confidence ?? 'n/a'})`);
+        }
+
+        context.setSplitClassifications(results, categories);
+    }
+
+    async #classifyWithProvider(context, {categories, categoryHints, destinationName, sourceName, description, amount = null, split = null}) {
+        const examples = (await this.#exampleRetriever.findExamples({
+            transactionId: context.transactionId,
+            type: context.type,
+            destinationName,
+            sourceName,
+            description,
+        })).filter(example => categories.has(example.category));
 
         const modelConfiguration = await this.#provider.getClassificationPrompt({
             categories: Array.from(categories.keys()),
+            categoryHints,
+            type: context.type,
+            destinationName,
+            sourceName,
+            description,
+            amount,
+            date: context.date,
+            split,
+            examples,
+            metadata: {transactionId: context.transactionId},
+        });
+
+        const response = await this.#provider.getCompletion(modelConfiguration, {})
+
+        return {
+            classification: categories.has(response.category) ? response : null,
+            prompt: modelConfiguration.prompt,
+            response: JSON.stringify(response, null, 2),
+            // Only set by a fallback chain or a consensus, where it names the provider(s) that answered.
+            provider: modelConfiguration.provider ?? null,
+            consensus: modelConfiguration.consensus ?? null,
+            examples,
+        };
+    }
+
+    /**
+     * Ask the provider which budget the transaction belongs to. Firefly III only budgets withdrawals.
+     */
+    async #executeBudgetAssignment(context) {
+        if (!this.#ENABLE_BUDGETS || context.type !== 'withdrawal') {
+            return;
+        }
+
+        const budgets = await this.#firefly.getBudgets();
+        if (budgets.size === 0) {
+            console.info(`[Job ${context.job.id}] No budgets in Firefly III, skipping`);
+            return;
+        }
+
+        const modelConfiguration = await this.#provider.getBudgetPrompt({
+            budgets: Array.from(budgets.keys()),
             destinationName: context.destinationName,
             description: context.description,
+            category: context.jobData.category,
+            amount: context.transactions[0]?.amount ?? null,
+            date: context.date,
             metadata: {transactionId: context.transactionId},
         });
 
-        const response = await this.#provider.getCompletion(modelConfiguration, {})
-        const classification = categories.has(response.category) ? response : null;
+        const response = await this.#provider.getCompletion(modelConfiguration, {});
 
-        context.setClassification(classification, categories);
-        console.info(`[Job ${context.job.id}] Classification: ${classification?.category || 'none'}`);
+        context.setBudget(response, budgets, {
+            prompt: modelConfiguration.prompt,
+            response: JSON.stringify(response, null, 2),
+            provider: modelConfiguration.provider ?? null,
+            consensus: modelConfiguration.consensus ?? null,
+        });
+        console.info(`[Job ${context.job.id}] Budget: ${context.jobData.budget?.name || 'none'} (confidence ${context.jobData.budgetConfidence ?? 'n/a'})`);
     }
 
     async #executeAccountMatching(context) {
+        if (!context.accountType) {
+            console.info(`[Job ${context.job.id}] Transfer, no account to match`);
+            return;
+        }
+
+        if (context.rule?.expenseAccount) {
+            context.setAccount(await this.#buildOverriddenAccount(context.rule.expenseAccount, 'rule', context.accountType));
+            console.info(`[Job ${context.job.id}] Account: ${context.account.name} (rule '${context.rule.name}')`);
+            return;
+        }
+
         try {
-            const decision = await this.#expenseAccountMatcher.matchTransaction({
-                description: context.description,
-                destination_name: context.destinationName,
-            });
+            const decision = context.accountType === 'revenue'
+                ? await this.#revenueAccountMatcher.matchTransaction({
+                    description: context.description,
+                    source_name: context.sourceName,
+                })
+                : await this.#expenseAccountMatcher.matchTransaction({
+                    description: context.description,
+                    destination_name: context.destinationName,
+                    amount: context.transactions[0]?.amount ?? null,
+                    date: context.date,
+                });
 
             const accountAction = decision.decision === 'existing' ? 'matched' : 'created';
+            if (decision.account.source === 'cache') {
+                context.recordCacheHit(MerchantCache.keyFor(context.cacheSubject), 'expenseAccount');
+            }
 
-            context.setExpenseAccount({
+            context.setAccount({
                 name: decision.account.name,
                 description: decision.account.description || '',
                 action: accountAction,
                 decision: decision.decision,
                 source: decision.account.source || null,
+                provider: decision.account.provider ?? null,
                 accountId: decision.account.id || null,
             });
 
             console.info(`[Job ${context.job.id}] Account: ${decision.account.name} (${accountAction})`);
         } catch (error) {
-            const expenseError = error instanceof ExpenseAccountError ? error : new ExpenseAccountError(error.message, error);
-            context.setExpenseAccountError(expenseError);
-            throw new CategoryError(`Failed to categorize expense account: ${expenseError.message}`);
+            const accountError = error instanceof ExpenseAccountError ? error : new ExpenseAccountError(error.message, error);
+            context.setAccountError(accountError);
+            throw new CategoryError(`Failed to categorize ${context.accountType} account: ${accountError.message}`, {cause: accountError});
         }
     }
 
+    /**
+     * Remember what the splits looked like before the first write, so the job can be undone.
+     * @param {JobContext} context
+     */
+    #snapshotTransaction(context) {
+        if (context.jobData.snapshot) {
+            return;
+        }
+
+        context.jobData.snapshot = {
+            takenAt: new Date(),
+            splits: context.transactions.map(transaction => ({
+                transaction_journal_id: transaction.transaction_journal_id,
+                category_id: transaction.category_id ?? null,
+                budget_id: transaction.budget_id ?? null,
+                destination_id: transaction.destination_id ?? null,
+                source_id: transaction.source_id ?? null,
+                tags: [...(transaction.tags ?? [])],
+            })),
+        };
+        this.#jobList.updateJobData(context.job.id, context.jobData);
+    }
+
     async #applyClassificationResults(context) {
+        this.#snapshotTransaction(context);
+        this.#recentWrites.record(context.transactionId);
+
         if (context.shouldApplyCategory()) {
             await this.#firefly.setCategory(
                 context.transactionId,
                 context.transactions,
-                context.categoryId
+                context.splitCategoryIds ?? context.categoryId,
+                {budgetId: context.jobData.budget?.budgetId ?? null}
             );
-            console.info(`[Job ${context.job.id}] Category applied: ${context.jobData.category}`);
+            console.info(`[Job ${context.job.id}] Category applied: ${context.describeCategories()}${context.jobData.budget ? `, budget: ${context.jobData.budget.name}` : ''}`);
         } else if (context.jobData.category) {
             console.warn(`[Job ${context.job.id}] Unknown category '${context.jobData.category}', skipping`);
         }
 
+        let appliedAccount = null;
         if (context.shouldApplyAccount()) {
             const accountId = await this.#resolveAccountId(context);
+            appliedAccount = {name: context.account.name, accountId: String(accountId)};
             await this.#firefly.setAccount(
                 context.transactionId,
                 context.transactions,
                 accountId,
-                'destination'
+                context.accountType === 'revenue' ? 'source' : 'destination'
             );
             console.info(`[Job ${context.job.id}] Account applied: ${accountId}`);
         }
+
+        // Record again, the window has to cover the webhooks fired by the last PUT.
+        this.#recentWrites.record(context.transactionId);
+
+        try {
+            context.jobData.cacheKey = await this.#merchantCache.remember(context.cacheSubject, {
+                transactionId: context.transactionId,
+                category: context.shouldApplyCategory() && !context.jobData.splits ? context.jobData.category : null,
+                expenseAccount: appliedAccount,
+            });
+        } catch (error) {
+            // The transaction is already written, retrying the stage for the cache's sake would write it again.
+            console.error(`[Job ${context.job.id}] Failed to update the merchant cache`, error);
+        }
+        this.#jobList.updateJobData(context.job.id, context.jobData);
     }
 
     async #resolveAccountId(context) {
-        const expenseAccount = context.jobData.expenseAccount;
+        const account = context.account;
 
-        if (expenseAccount.action === 'matched') {
-            return expenseAccount.accountId;
+        if (account.action === 'matched') {
+            return account.accountId;
         }
 
-        if (expenseAccount.action === 'created') {
+        if (account.action === 'created') {
             try {
-                return await this.#firefly.createAccount(
-                    expenseAccount.name,
-                    'expense',
-                    expenseAccount.description
+                const accountId = await this.#firefly.createAccount(
+                    account.name,
+                    context.accountType,
+                    account.description
                 );
+                context.jobData.createdAccountId = accountId;
+
+                return accountId;
             } catch (createError) {
                 if (this.#isDuplicateAccountError(createError)) {
-                    return await this.#findExistingAccount(expenseAccount.name);
+                    return await this.#findExistingAccount(account.name, context.accountType);
                 }
                 throw createError;
             }
         }
 
-        throw new Error(`Cannot resolve account ID for action: ${expenseAccount.action}`);
+        throw new Error(`Cannot resolve account ID for action: ${account.action}`);
     }
 
     #isDuplicateAccountError(error) {
         return error.message.includes('422');
     }
 
-    async #findExistingAccount(accountName) {
-        const suggestions = await this.#firefly.getExpenseAccountSuggestions(accountName, 50);
+    async #findExistingAccount(accountName, accountType = 'expense') {
+        const suggestions = await this.#firefly.getAccountSuggestions(accountName, 50, accountType);
         const existingAccount = suggestions.find(
             suggestion => suggestion.name.toLowerCase() === accountName.toLowerCase()
         );
@@ -437,28 +1518,136 @@ class JobContext {
         this.destinationName = destinationName;
         this.description = description;
 
+        this.type = transactions?.[0]?.type ?? job.data.type ?? 'withdrawal';
+        this.sourceName = transactions?.[0]?.source_name ?? job.data.sourceName ?? null;
+
         this.jobData = {...job.data};
+        this.stage = null;
+        this.rule = null;
         this.categories = null;
         this.categoryId = null;
+        this.splitCategoryIds = null;
     }
 
-    setClassification(classification, categories) {
+    setClassification(classification, categories, {prompt = null, response = null, provider = null, consensus = null} = {}) {
         this.categories = categories;
         this.jobData.category = classification?.category || null;
-        this.jobData.prompt = classification?.prompt;
-        this.jobData.response = classification?.response;
+        this.jobData.confidence = normalizeConfidence(classification?.confidence);
+        this.jobData.reasoning = classification?.reasoning || null;
+        this.jobData.prompt = prompt;
+        this.jobData.response = response;
+        this.jobData.provider = provider;
+        this.jobData.consensus = consensus;
 
         if (classification?.category && categories.has(classification.category)) {
             this.categoryId = categories.get(classification.category);
         }
     }
 
-    setExpenseAccount(accountData) {
-        this.jobData.expenseAccount = accountData;
+    /**
+     * @param {?{budget: string, confidence: number, reasoning: string}} choice - The provider's answer
+     * @param {Map<string, string>} budgets - The budgets that were offered
+     */
+    setBudget(choice, budgets, {prompt = null, response = null, provider = null, consensus = null} = {}) {
+        // Anything but an offered budget, including NO_BUDGET, leaves the transaction without one.
+        this.jobData.budget = budgets.has(choice?.budget) ? {name: choice.budget, budgetId: budgets.get(choice.budget)} : null;
+        this.jobData.budgetConfidence = normalizeConfidence(choice?.confidence);
+        this.jobData.budgetReasoning = choice?.reasoning || null;
+        this.jobData.budgetPrompt = prompt;
+        this.jobData.budgetResponse = response;
+        this.jobData.budgetProvider = provider;
+        this.jobData.budgetConsensus = consensus;
+    }
+
+    setRule(rule) {
+        this.rule = rule;
+        this.jobData.rule = rule ? {id: rule.id, name: rule.name} : null;
+    }
+
+    /**
+     * The kind of account on the other side of the transaction, null for transfers between own accounts.
+     * @returns {?string}
+     */
+    get accountType() {
+        return accountTypeOf(this.type);
+    }
+
+    get account() {
+        const field = accountFieldOf(this.type);
+        return field ? this.jobData[field] ?? null : null;
+    }
+
+    /**
+     * @returns {?string} The transaction date as YYYY-MM-DD
+     */
+    get date() {
+        return this.transactions?.[0]?.date?.slice(0, 10) ?? null;
+    }
+
+    get cacheSubject() {
+        return cacheSubjectOf(this);
+    }
+
+    recordCacheHit(key, field) {
+        this.jobData.cacheHit = {
+            key,
+            category: this.jobData.cacheHit?.category ?? false,
+            expenseAccount: this.jobData.cacheHit?.expenseAccount ?? false,
+            [field]: true,
+        };
+    }
+
+    /**
+     * @param {Array<{transactionJournalId: string, category: ?string, confidence: ?number}>} results - One per classified split
+     * @param {Map<string, string>} categories
+     */
+    setSplitClassifications(results, categories) {
+        // The job level fields summarize the splits: the first category found and the lowest confidence.
+        const confidences = results.map(result => result.confidence).filter(confidence => confidence != null);
+
+        this.jobData.splits = results;
+        this.jobData.category = results.find(result => result.category)?.category ?? null;
+        this.jobData.confidence = confidences.length > 0 ? Math.min(...confidences) : null;
+        this.jobData.reasoning = null;
+        this.jobData.prompt = null;
+        this.jobData.response = null;
+        this.jobData.provider = Array.from(new Set(results.map(result => result.provider).filter(Boolean))).join(", ") || null;
+        this.jobData.consensus = null;
+        this.jobData.examples = [];
+
+        this.setApprovedCategory(categories);
+    }
+
+    setApprovedCategory(categories) {
+        this.categories = categories;
+
+        if (this.jobData.splits) {
+            this.splitCategoryIds = new Map(this.jobData.splits
+                .filter(split => split.category && categories.has(split.category))
+                .map(split => [split.transactionJournalId, categories.get(split.category)]));
+            this.categoryId = this.splitCategoryIds.values().next().value ?? null;
+            return;
+        }
+
+        if (this.jobData.category && categories.has(this.jobData.category)) {
+            this.categoryId = categories.get(this.jobData.category);
+        }
+    }
+
+    describeCategories() {
+        if (!this.jobData.splits) {
+            return this.jobData.category;
+        }
+
+        return this.jobData.splits.map(split => `${split.transactionJournalId}: ${split.category ?? 'none'}`).join(', ');
     }
 
-    setExpenseAccountError(error) {
-        this.jobData.expenseAccount = {
+    setAccount(accountData) {
+        this.jobData[accountFieldOf(this.type)] = accountData;
+    }
+
+    setAccountError(error) {
+        this.jobData[accountFieldOf(this.type)] = {
             error: error.message,
             action: 'failed',
             errorType: error.name
@@ -470,10 +1659,40 @@ class JobContext {
     }
 
     shouldApplyAccount() {
-        return this.jobData.expenseAccount && this.jobData.expenseAccount.action !== 'failed';
+        return this.account && this.account.action !== 'failed';
     }
 }
 
+function accountTypeOf(transactionType) {
+    return {withdrawal: 'expense', deposit: 'revenue'}[transactionType ?? 'withdrawal'] ?? null;
+}
+
+function accountFieldOf(transactionType) {
+    const accountType = accountTypeOf(transactionType);
+    return accountType ? `${accountType}Account` : null;
+}
+
+/**
+ * What the merchant cache is keyed on: the counterparty is the destination of a withdrawal and the source of a deposit.
+ * @param {{type: ?string, destinationName: ?string, sourceName: ?string, description: ?string}} transaction
+ */
+function cacheSubjectOf({type, destinationName, sourceName, description}) {
+    return {
+        destinationName: type === 'deposit' ? sourceName : destinationName,
+        description,
+        type: type ?? 'withdrawal',
+    };
+}
+
+function normalizeConfidence(value) {
+    const confidence = Number(value);
+    if (value == null || Number.isNaN(confidence)) {
+        return null;
+    }
+
+    return Math.min(1, Math.max(0, confidence));
+}
+
 class HttpError extends Error {
     constructor(code, message) {
         super(message);
@@ -482,9 +1701,17 @@ class HttpError extends Error {
     }
 }
 
+class JobStageError extends Error {
+    constructor(stage, cause) {
+        super(`Job failed during ${stage}: ${cause?.message}`, {cause});
+        this.name = 'JobStageError';
+        this.stage = stage;
+    }
+}
+
 class CategoryError extends Error {
-    constructor(message) {
-        super(message);
+    constructor(message, options = {}) {
+        super(message, options);
         this.name = 'CategoryError'
     }
 }
@@ -0,0 +1,227 @@
+import crypto from "crypto";
+import {getConfigVariable} from "./util.js";
+
+const AUTH_MODES = new Set(["none", "apikey", "basic"]);
+const SESSION_COOKIE = "categorizer_session";
+
+// Reachable without credentials: the login page itself and the webhook, which is protected by its own secret.
+const PUBLIC_PATHS = new Set(["/login.html", "/api/auth", "/api/login", "/api/logout", "/webhook"]);
+
+/**
+ * Protects the UI, the /api routes and the Socket.IO handshake.
+ *
+ * Clients authenticate with the API key (`X-API-Key` or `Authorization: Bearer` header) in `apikey` mode, with an
+ * `Authorization: Basic` header in `basic` mode, or with the session cookie set by the login page in both modes.
+ */
+export default class Auth {
+    #mode;
+    #apiKey;
+    #username;
+    #password;
+    #sessionSecret;
+    #sessionMs;
+
+    constructor() {
+        this.#mode = getConfigVariable("AUTH_MODE", "none").toLowerCase();
+
+        if (!AUTH_MODES.has(this.#mode)) {
+            throw new AuthConfigurationError(`AUTH_MODE '${this.#mode}' is not supported. Supported modes: ${Array.from(AUTH_MODES).join(", ")}`);
+        }
+
+        if (this.#mode === "apikey") {
+            this.#apiKey = getConfigVariable("API_KEY");
+        } else if (this.#mode === "basic") {
+            this.#username = getConfigVariable("AUTH_USERNAME");
+            this.#password = getConfigVariable("AUTH_PASSWORD");
+        }
+
+        // Without a configured secret every restart signs out all sessions, which is an acceptable default.
+        this.#sessionSecret = getConfigVariable("AUTH_SESSION_SECRET", crypto.randomBytes(32).toString("hex"));
+        this.#sessionMs = parseFloat(getConfigVariable("AUTH_SESSION_HOURS", "12")) * 60 * 60 * 1000;
+    }
+
+    get mode() {
+        return this.#mode;
+    }
+
+    get enabled() {
+        return this.#mode !== "none";
+    }
+
+    /**
+     * Express middleware rejecting unauthenticated requests.
+     * @returns {function(object, object, function): void}
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (!this.enabled || isPublicPath(req.path) || this.#isAuthenticated(req.headers)) {
+                next();
+                return;
+            }
+
+            if (req.method === "GET" && !req.path.startsWith("/api/") && req.accepts("html")) {
+                res.redirect("/login.html");
+                return;
+            }
+
+            if (this.#mode === "basic") {
+                res.set("WWW-Authenticate", 'Basic realm="Firefly III AI Categorizer"');
+            }
+            res.status(401).send("Authentication required");
+        };
+    }
+
+    /**
+     * Socket.IO middleware rejecting unauthenticated handshakes.
+     * @returns {function(object, function): void}
+     */
+    socketMiddleware() {
+        return (socket, next) => {
+            const headers = {...socket.handshake.headers};
+            if (socket.handshake.auth?.apiKey) {
+                headers["x-api-key"] = socket.handshake.auth.apiKey;
+            }
+
+            if (!this.enabled || this.#isAuthenticated(headers)) {
+                next();
+                return;
+            }
+
+            next(new Error("Authentication required"));
+        };
+    }
+
+    /**
+     * GET /api/auth, tells the login page which credentials to ask for.
+     */
+    status(req, res) {
+        res.json({
+            mode: this.#mode,
+            authenticated: !this.enabled || this.#isAuthenticated(req.headers),
+        });
+    }
+
+    /**
+     * POST /api/login, exchanges credentials for a session cookie.
+     */
+    login(req, res) {
+        const {apiKey, username, password} = req.body ?? {};
+
+        const valid = this.#mode === "apikey"
+            ? safeEqual(apiKey, this.#apiKey)
+            : this.#mode === "basic" && safeEqual(username, this.#username) && safeEqual(password, this.#password);
+
+        if (!valid) {
+            res.status(401).send("Invalid credentials");
+            return;
+        }
+
+        res.cookie(SESSION_COOKIE, this.#createSessionToken(), {
+            httpOnly: true,
+            sameSite: "strict",
+            secure: req.secure,
+            maxAge: this.#sessionMs,
+        });
+        res.json({authenticated: true});
+    }
+
+    /**
+     * POST /api/logout, drops the session cookie.
+     */
+    logout(req, res) {
+        res.clearCookie(SESSION_COOKIE);
+        res.json({authenticated: false});
+    }
+
+    #isAuthenticated(headers) {
+        const authorization = headers.authorization ?? "";
+
+        if (this.#mode === "apikey") {
+            const bearer = authorization.startsWith("Bearer ") ? authorization.slice(7) : null;
+            if (safeEqual(headers["x-api-key"], this.#apiKey) || safeEqual(bearer, this.#apiKey)) {
+                return true;
+            }
+        }
+
+        if (this.#mode === "basic" && authorization.startsWith("Basic ")) {
+            const decoded = Buffer.from(authorization.slice(6), "base64").toString("utf8");
+            const separator = decoded.indexOf(":");
+            if (separator !== -1
+                && safeEqual(decoded.slice(0, separator), this.#username)
+                && safeEqual(decoded.slice(separator + 1), this.#password)) {
+                return true;
+            }
+        }
+
+        return this.#isValidSessionToken(parseCookies(headers.cookie)[SESSION_COOKIE]);
+    }
+
+    #createSessionToken() {
+        const expiresAt = String(Date.now() + this.#sessionMs);
+        return `${expiresAt}.${this.#sign(expiresAt)}`;
+    }
+
+    #isValidSessionToken(token) {
+        if (!token) {
+            return false;
+        }
+
+        const [expiresAt, signature] = token.split(".", 2);
+        if (!safeEqual(signature, this.#sign(expiresAt))) {
+            return false;
+        }
+
+        return parseInt(expiresAt, 10) > Date.now();
+    }
+
+    #sign(value) {
+        // The credentials are part of the signed value, changing them signs out every session.
+        const credentials = [this.#mode, this.#apiKey, this.#username, this.#password].join(":");
+        return crypto.createHmac("sha256", this.#sessionSecret).update(`${credentials}:${value}`).digest("hex");
+    }
+}
+
+function isPublicPath(path) {
+    // Express routes "/webhook/" to the "/webhook" handler, a webhook URL saved with a trailing slash must pass too.
+    return PUBLIC_PATHS.has(path.length > 1 ? path.replace(/\/+$/, "") : path);
+}
+
+function safeEqual(received, expected) {
+    if (typeof received !== "string" || typeof expected !== "string") {
+        return false;
+    }
+
+    // Compare digests so the comparison takes the same time whatever the lengths are.
+    const receivedHash = crypto.createHash("sha256").update(received).digest();
+    const expectedHash = crypto.createHash("sha256").update(expected).digest();
+
+    return crypto.timingSafeEqual(receivedHash, expectedHash);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+
+    (header ?? "").split(";").forEach(part => {
+        const separator = part.indexOf("=");
+        if (separator === -1) {
+            return;
+        }
+
+        const name = part.slice(0, separator).trim();
+        const value = part.slice(separator + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+export class AuthConfigurationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthConfigurationError';
+    }
+}
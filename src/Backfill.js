@@ -0,0 +1,299 @@
+import EventEmitter from "events";
+import {v4 as uuid} from "uuid";
+import TransactionValidator, {ValidationError} from "./TransactionValidator.js";
+
+const PAGE_SIZE = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// A backfill job in one of these states still has to run, in any other state it has been processed.
+const PENDING_JOB_STATUSES = new Set(["queued", "in_progress"]);
+
+/**
+ * Walks every page of Firefly III transactions of the classified types and enqueues a classification job for each one that can be classified.
+ * Only one run exists at a time; it can be paused, resumed and cancelled.
+ *
+ * The run enqueues one job at a time and waits until it has been processed before it enqueues the next one, so pausing
+ * or cancelling stops the classification itself and not only the page walk. Webhook jobs still get their turn in
+ * between. Its jobs carry the run id as `backfillRunId`.
+ */
+export default class Backfill {
+    #firefly;
+    #enqueue;
+    #cancelJob;
+    #eventEmitter = new EventEmitter();
+
+    #state = createIdleState();
+    #resumeRun = null;
+    #currentJob = null;
+    #types;
+
+    /**
+     * @param {import("./FireflyService.js").default} fireflyService
+     * @param {import("./JobList.js").default} jobList - Tells when an enqueued job has been processed
+     * @param {object} jobs
+     * @param {function({transactionId: string, splits: Array<object>, primarySplit: object, dryRun: boolean, backfillRunId: string}): ?object} jobs.enqueue - Enqueues a job and returns it, null when the transaction was skipped
+     * @param {function(object): void} jobs.cancel - Cancels a queued job
+     * @param {{types?: Set<string>}} [options] - The transaction types to classify, withdrawals only by default
+     */
+    constructor(fireflyService, jobList, {enqueue, cancel}, {types = new Set(["withdrawal"])} = {}) {
+        this.#firefly = fireflyService;
+        this.#enqueue = enqueue;
+        this.#cancelJob = cancel;
+        this.#types = types;
+
+        jobList.on('job updated', ({job}) => this.#onJobUpdated(job));
+    }
+
+    on(event, listener) {
+        this.#eventEmitter.on(event, listener);
+    }
+
+    getState() {
+        return {...this.#state};
+    }
+
+    /**
+     * Start a new run.
+     * @param {object} [options]
+     * @param {string} [options.start] - Only transactions on or after this date (YYYY-MM-DD)
+     * @param {string} [options.end] - Only transactions on or before this date (YYYY-MM-DD)
+     * @param {string} [options.accountId] - Only transactions of this asset account
+     * @param {number} [options.maxCount] - Stop after processing this many jobs, 0 for no limit
+     * @param {boolean} [options.dryRun] - Only store proposals instead of writing to Firefly
+     * @returns {object} The state of the new run
+     */
+    start({start = null, end = null, accountId = null, maxCount = 0, dryRun = false} = {}) {
+        if (this.#state.status === "running" || this.#state.status === "paused") {
+            throw new BackfillError(409, "A backfill is already running");
+        }
+
+        [start, end].forEach(date => {
+            if (date != null && !DATE_PATTERN.test(date)) {
+                throw new BackfillError(400, `Invalid date '${date}', expected YYYY-MM-DD`);
+            }
+        });
+
+        if (!Number.isInteger(maxCount) || maxCount < 0) {
+            throw new BackfillError(400, "maxCount must be a positive integer");
+        }
+
+        this.#state = {
+            ...createIdleState(),
+            id: uuid(),
+            status: "running",
+            options: {start, end, accountId, maxCount, dryRun},
+            startedAt: new Date(),
+        };
+        this.#emitUpdated();
+
+        const runId = this.#state.id;
+        this.#run(runId).catch(error => {
+            console.error("[Backfill] Failed:", error.message);
+            if (this.#isActive(runId)) {
+                this.#finish("failed", error.message);
+            }
+        });
+
+        return this.getState();
+    }
+
+    pause() {
+        if (this.#state.status !== "running") {
+            throw new BackfillError(409, `Backfill is ${this.#state.status}, it cannot be paused`);
+        }
+
+        this.#state.status = "paused";
+        this.#emitUpdated();
+
+        return this.getState();
+    }
+
+    resume() {
+        if (this.#state.status !== "paused") {
+            throw new BackfillError(409, `Backfill is ${this.#state.status}, it cannot be resumed`);
+        }
+
+        this.#state.status = "running";
+        this.#emitUpdated();
+        this.#resumeRun?.();
+
+        return this.getState();
+    }
+
+    cancel() {
+        if (this.#state.status !== "running" && this.#state.status !== "paused") {
+            throw new BackfillError(409, `Backfill is ${this.#state.status}, it cannot be cancelled`);
+        }
+
+        this.#finish("cancelled");
+        this.#resumeRun?.();
+
+        // A job that already started is left to finish, it may be writing to Firefly III, but the run stops waiting for it.
+        if (this.#currentJob?.job.status === "queued") {
+            this.#cancelJob(this.#currentJob.job);
+        } else if (this.#currentJob) {
+            this.#currentJob.resolve(this.#currentJob.job.status);
+            this.#currentJob = null;
+        }
+
+        return this.getState();
+    }
+
+    async #run(runId) {
+        const {start, end, accountId, maxCount, dryRun} = this.#state.options;
+        // "default" lists withdrawals, deposits and transfers together, the types that are not enabled are skipped below.
+        const type = this.#types.size === 1 ? Array.from(this.#types)[0] : "default";
+
+        for (let page = 1; ; page++) {
+            if (!await this.#waitWhilePaused(runId)) {
+                return;
+            }
+
+            const result = await this.#firefly.getTransactions({limit: PAGE_SIZE, page, type, start, end, accountId});
+            const entries = Array.isArray(result?.data) ? result.data : [];
+
+            this.#state.page = page;
+            this.#state.pageCount = result?.meta?.pagination?.total_pages ?? this.#state.pageCount;
+
+            for (const entry of entries) {
+                if (!await this.#waitWhilePaused(runId)) {
+                    return;
+                }
+
+                await this.#processEntry(entry, dryRun, runId);
+
+                if (!this.#isActive(runId)) {
+                    return;
+                }
+
+                if (maxCount > 0 && this.#state.processed >= maxCount) {
+                    this.#finish("completed");
+                    return;
+                }
+            }
+
+            this.#emitUpdated();
+
+            if (entries.length === 0 || !result?.links?.next) {
+                this.#finish("completed");
+                return;
+            }
+        }
+    }
+
+    async #processEntry(entry, dryRun, runId) {
+        this.#state.scanned++;
+
+        let splits;
+        let primarySplit;
+        try {
+            splits = entry?.attributes?.transactions ?? [];
+            primarySplit = TransactionValidator.validateTransactionSplits(splits, this.#types);
+        } catch (error) {
+            if (!(error instanceof ValidationError)) {
+                throw error;
+            }
+
+            this.#state.skipped++;
+            return;
+        }
+
+        const job = this.#enqueue({transactionId: String(entry.id), splits, primarySplit, dryRun, backfillRunId: runId});
+        if (!job) {
+            this.#state.skipped++;
+            return;
+        }
+
+        this.#state.enqueued++;
+        this.#emitUpdated();
+
+        const status = await this.#waitUntilProcessed(job);
+        if (this.#state.id !== runId) {
+            return;
+        }
+
+        this.#state.processed++;
+        if (status === "failed" || status === "timed_out") {
+            this.#state.failed++;
+        }
+        this.#emitUpdated();
+    }
+
+    /**
+     * @param {object} job
+     * @returns {Promise<string>} The status the job ended up in
+     */
+    #waitUntilProcessed(job) {
+        return new Promise(resolve => this.#currentJob = {job, resolve});
+    }
+
+    #onJobUpdated(job) {
+        if (this.#currentJob?.job.id !== job.id || PENDING_JOB_STATUSES.has(job.status)) {
+            return;
+        }
+
+        const {resolve} = this.#currentJob;
+        this.#currentJob = null;
+        resolve(job.status);
+    }
+
+    /**
+     * Block while the run is paused.
+     * @param {string} runId
+     * @returns {Promise<boolean>} False when the run was cancelled meanwhile
+     */
+    async #waitWhilePaused(runId) {
+        while (this.#isActive(runId) && this.#state.status === "paused") {
+            await new Promise(resolve => this.#resumeRun = resolve);
+            this.#resumeRun = null;
+        }
+
+        return this.#isActive(runId) && this.#state.status === "running";
+    }
+
+    /**
+     * Whether the run is still the current one and was not cancelled, a new run may start while a cancelled one still
+     * waits for its last job.
+     * @param {string} runId
+     * @returns {boolean}
+     */
+    #isActive(runId) {
+        return this.#state.id === runId && (this.#state.status === "running" || this.#state.status === "paused");
+    }
+
+    #finish(status, error = null) {
+        this.#state.status = status;
+        this.#state.error = error;
+        this.#state.finishedAt = new Date();
+        this.#emitUpdated();
+    }
+
+    #emitUpdated() {
+        this.#eventEmitter.emit('backfill updated', this.getState());
+    }
+}
+
+function createIdleState() {
+    return {
+        id: null,
+        status: "idle",
+        options: null,
+        page: 0,
+        pageCount: null,
+        scanned: 0,
+        enqueued: 0,
+        processed: 0,
+        failed: 0,
+        skipped: 0,
+        error: null,
+        startedAt: null,
+        finishedAt: null,
+    };
+}
+
+export class BackfillError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'BackfillError';
+        this.code = code;
+    }
+}
@@ -0,0 +1,111 @@
+import {getConfigVariable, readJsonFile} from "./util.js";
+
+const MAX_NOTES_LENGTH = 300;
+
+/**
+ * Describes categories for the classification prompt, so the model can tell apart ambiguous names like "Varios" or
+ * "Casa". Descriptions come from the category notes in Firefly III and from an optional local overrides file:
+ *
+ * {
+ *   "Casa": {
+ *     "description": "Rent, utilities and repairs of our flat",
+ *     "include": ["IKEA", "electricity"],
+ *     "exclude": ["supermarkets"]
+ *   }
+ * }
+ *
+ * The file is read again for every classification, edits apply without a restart. A broken file is reported once and
+ * ignored until it is fixed, so a typo never fails the classification.
+ */
+export default class CategoryHints {
+    #path;
+    #reportedError = null;
+
+    constructor(path = getConfigVariable("CATEGORY_HINTS_PATH", "data/category-hints.json")) {
+        this.#path = path;
+    }
+
+    /**
+     * @param {Array<{name: string, notes: ?string}>} categoryDetails - The categories as returned by Firefly III
+     * @returns {Promise<Array<{name: string, description: ?string, include: string[], exclude: string[]}>>} The
+     *   categories that have something to say, in the order of categoryDetails
+     */
+    async describe(categoryDetails) {
+        const overrides = await this.#loadOverridesOrNothing();
+
+        return categoryDetails
+            .map(category => {
+                const override = overrides[category.name] ?? {};
+
+                return {
+                    name: category.name,
+                    description: override.description ?? cleanNotes(category.notes),
+                    include: override.include ?? [],
+                    exclude: override.exclude ?? [],
+                };
+            })
+            .filter(hint => hint.description || hint.include.length > 0 || hint.exclude.length > 0);
+    }
+
+    async #loadOverridesOrNothing() {
+        try {
+            const overrides = await this.#loadOverrides();
+            this.#reportedError = null;
+
+            return overrides;
+        } catch (error) {
+            if (!(error instanceof SyntaxError || error instanceof CategoryHintsError)) {
+                throw error;
+            }
+
+            if (this.#reportedError !== error.message) {
+                console.error(`[CategoryHints] Ignoring ${this.#path} until it is fixed: ${error.message}`);
+                this.#reportedError = error.message;
+            }
+
+            return {};
+        }
+    }
+
+    async #loadOverrides() {
+        const overrides = await readJsonFile(this.#path, {});
+
+        if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+            throw new CategoryHintsError(`${this.#path} must contain an object keyed by category name`);
+        }
+
+        Object.entries(overrides).forEach(([name, override]) => {
+            if (override?.description != null && typeof override.description !== "string") {
+                throw new CategoryHintsError(`description of '${name}' in ${this.#path} must be a string`);
+            }
+
+            ["include", "exclude"].forEach(field => {
+                if (override?.[field] != null && (!Array.isArray(override[field]) || !override[field].every(item => typeof item === "string"))) {
+                    throw new CategoryHintsError(`${field} of '${name}' in ${this.#path} must be an array of strings`);
+                }
+            });
+        });
+
+        return overrides;
+    }
+}
+
+function cleanNotes(notes) {
+    if (!notes) {
+        return null;
+    }
+
+    const cleaned = String(notes).replace(/\s+/g, " ").trim();
+    if (cleaned.length === 0) {
+        return null;
+    }
+
+    return cleaned.length > MAX_NOTES_LENGTH ? `${cleaned.slice(0, MAX_NOTES_LENGTH)}…` : cleaned;
+}
+
+export class CategoryHintsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CategoryHintsError';
+    }
+}
@@ -0,0 +1,144 @@
+import {isPlaceholder, normalizeText} from "./TextNormalizer.js";
+
+const SEARCH_LIMIT = 25;
+const MAX_TOKEN_QUERIES = 3;
+
+/**
+ * Finds already categorized transactions similar to the one being classified, so the provider can follow the
+ * categories we used before instead of guessing. Similar means the same counterparty (the destination of a withdrawal,
+ * the source of a deposit) or overlapping description tokens. Only transactions of the same type are considered.
+ */
+export default class ExampleRetriever {
+    #firefly;
+    #limit;
+
+    /**
+     * @param {import("./FireflyService.js").default} fireflyService
+     * @param {{limit?: number}} [options] - How many examples to return at most, 0 disables the retriever
+     */
+    constructor(fireflyService, {limit = 0} = {}) {
+        this.#firefly = fireflyService;
+        this.#limit = limit;
+    }
+
+    get enabled() {
+        return this.#limit > 0;
+    }
+
+    /**
+     * @param {{transactionId: string, type?: string, destinationName: ?string, sourceName?: ?string, description: ?string}} transaction
+     * @returns {Promise<Array<{transactionId: string, type: string, destinationName: string, sourceName: string, description: string, category: string}>>}
+     *   The most similar examples first
+     */
+    async findExamples({transactionId, type = "withdrawal", destinationName, sourceName = null, description}) {
+        if (!this.enabled) {
+            return [];
+        }
+
+        const counterpartyName = type === "deposit" ? sourceName : destinationName;
+        const counterpartyInfo = normalizeText(counterpartyName ?? "");
+        const targetTokens = new Set([...normalizeText(description ?? "").tokens, ...counterpartyInfo.tokens]);
+
+        const candidates = new Map();
+        for (const query of this.#generateQueries(type, counterpartyName, targetTokens)) {
+            for (const candidate of await this.#search(query, type)) {
+                if (String(candidate.transactionId) !== String(transactionId)) {
+                    candidates.set(`${candidate.transactionId}:${candidate.journalId}`, candidate);
+                }
+            }
+        }
+
+        const scored = Array.from(candidates.values())
+            .map(candidate => ({...candidate, score: this.#score(candidate, counterpartyInfo.normalizedText, targetTokens)}))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score || String(b.date).localeCompare(String(a.date)));
+
+        // The same merchant booked many times would otherwise fill every slot with one identical example.
+        const seen = new Set();
+        const examples = [];
+        for (const candidate of scored) {
+            const key = [candidate.counterpartyName, candidate.description, candidate.category].join("|").toLowerCase();
+            if (seen.has(key)) {
+                continue;
+            }
+
+            seen.add(key);
+            examples.push({
+                transactionId: candidate.transactionId,
+                type,
+                destinationName: candidate.destinationName,
+                sourceName: candidate.sourceName,
+                description: candidate.description,
+                category: candidate.category,
+            });
+
+            if (examples.length >= this.#limit) {
+                break;
+            }
+        }
+
+        return examples;
+    }
+
+    #generateQueries(type, counterpartyName, targetTokens) {
+        const queries = [];
+        const counterpartyField = type === "deposit" ? "source_account_is" : "destination_account_is";
+
+        if (!isPlaceholder(counterpartyName)) {
+            queries.push(`${counterpartyField}:"${escapeQueryValue(counterpartyName)}" type:${type} has_any_category:true`);
+        }
+
+        Array.from(targetTokens)
+            .filter(token => token.length > 3)
+            .sort((a, b) => b.length - a.length)
+            .slice(0, MAX_TOKEN_QUERIES)
+            .forEach(token => queries.push(`description_contains:"${token}" type:${type} has_any_category:true`));
+
+        return queries;
+    }
+
+    async #search(query, type) {
+        try {
+            const result = await this.#firefly.searchTransactions(query, {limit: SEARCH_LIMIT});
+            const entries = Array.isArray(result?.data) ? result.data : [];
+
+            return entries.flatMap(entry => (entry?.attributes?.transactions ?? [])
+                .filter(split => split?.category_name)
+                .map(split => ({
+                    transactionId: String(entry.id),
+                    journalId: String(split.transaction_journal_id),
+                    destinationName: split.destination_name ?? "",
+                    sourceName: split.source_name ?? "",
+                    counterpartyName: (type === "deposit" ? split.source_name : split.destination_name) ?? "",
+                    description: split.description ?? "",
+                    category: split.category_name,
+                    date: split.date ?? null,
+                })));
+        } catch (error) {
+            // Examples only improve the prompt, the classification goes on without them.
+            console.error(`[ExampleRetriever] Search failed for '${query}': ${error.message}`);
+            return [];
+        }
+    }
+
+    #score(candidate, counterpartyText, targetTokens) {
+        const candidateCounterparty = normalizeText(candidate.counterpartyName).normalizedText;
+        const sameCounterparty = counterpartyText.length > 0 && candidateCounterparty === counterpartyText;
+
+        if (targetTokens.size === 0) {
+            return sameCounterparty ? 1 : 0;
+        }
+
+        const candidateTokens = new Set([
+            ...normalizeText(candidate.description).tokens,
+            ...normalizeText(candidate.counterpartyName).tokens,
+        ]);
+        const overlap = Array.from(targetTokens).filter(token => candidateTokens.has(token)).length / targetTokens.size;
+
+        return (sameCounterparty ? 1 : 0) + overlap;
+    }
+}
+
+function escapeQueryValue(value) {
+    return String(value).replace(/"/g, "").trim();
+}
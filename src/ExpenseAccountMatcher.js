@@ -1,4 +1,5 @@
 import { getConfigVariable } from "./util.js";
+import { isPlaceholder, normalizeText } from "./TextNormalizer.js";
 
 const CONFIG = {
   AUTOCOMPLETE_LIMIT: getConfigVariable("EXPENSE_ACCOUNT_AUTOCOMPLETE_LIMIT", 15),
@@ -6,52 +7,12 @@ const CONFIG = {
 }
 
 const DEFAULT_AUTOCOMPLETE_LIMIT = 15;
-const PLACEHOLDER_VALUES = new Set([
-    "",
-    "no name",
-    "sin nombre",
-    "unknown",
-    "desconocido",
-]);
-
-const GENERIC_PHRASES = [
-  "google pay",
-  "apple pay",
-  "compra en",
-  "compras en",
-  "con la tarjeta",
-  "tarjeta",
-]
-
-const STOP_WORDS = new Set([
-  "con",
-  "en",
-  "por",
-  "para",
-  "una",
-  "un",
-  "y",
-  "el",
-  "la",
-  "los",
-  "las",
-  "de",
-  "del",
-  "al",
-  "compra",
-  "compras",
-  "tarjeta",
-  "banco",
-  "pago",
-  "google",
-  "pay",
-  "apple",
-])
 
 export default class ExpenseAccountMatcher {
     #provider;
     #firefly;
     #autocompleteLimit;
+    #merchantCache;
 
     constructor(provider, fireflyService, options = {}) {
         if (!provider) {
@@ -61,31 +22,7 @@ export default class ExpenseAccountMatcher {
         this.#provider = provider;
         this.#firefly = fireflyService;
         this.#autocompleteLimit = options.autocompleteLimit ?? DEFAULT_AUTOCOMPLETE_LIMIT;
-    }
-
-    #isPlaceholder(text) {
-        if (text == null) {
-            return true;
-        }
-
-        const normalized = String(text)
-            .normalize("NFD")
-            .replace(/[\u0300-\u036f]/g, "")
-            .toLowerCase()
-            .trim();
-
-        if (normalized.length === 0) {
-            return true;
-        }
-
-        const stripped = normalized
-            .replace(/[()\[\]{}]/g, "")
-            .replace(/"/g, "")
-            .replace(/'+/g, "")
-            .replace(/\s+/g, " ")
-            .trim();
-
-        return stripped.length === 0 || PLACEHOLDER_VALUES.has(stripped);
+        this.#merchantCache = options.merchantCache ?? null;
     }
 
     async matchTransaction(transaction) {
@@ -93,8 +30,25 @@ export default class ExpenseAccountMatcher {
             throw new Error("Transaction with description is required");
         }
 
-        const descriptionInfo = this.#normalizeText(transaction.description);
-        const destinationInfo = this.#normalizeText(transaction.destination_name ?? "");
+        const cached = this.#merchantCache?.get({
+            destinationName: transaction.destination_name,
+            description: transaction.description,
+        });
+
+        if (cached?.expenseAccount?.accountId) {
+            return {
+                decision: "existing",
+                account: {
+                    id: cached.expenseAccount.accountId,
+                    name: cached.expenseAccount.name,
+                    description: "",
+                    source: "cache",
+                },
+            };
+        }
+
+        const descriptionInfo = normalizeText(transaction.description);
+        const destinationInfo = normalizeText(transaction.destination_name ?? "");
 
         const queries = this.#generateQueries(transaction, descriptionInfo, destinationInfo);
         const autocompleteCandidates = await this.#collectAutocompleteCandidates(queries);
@@ -126,7 +80,7 @@ export default class ExpenseAccountMatcher {
 
         // If we have candidates but deterministic matching failed,
         // pick the first candidate (best available option)
-        const firstCandidate = autocompleteCandidates.find(c => !this.#isPlaceholder(c?.name));
+        const firstCandidate = autocompleteCandidates.find(c => !isPlaceholder(c?.name));
         if (firstCandidate) {
             console.debug(`[ExpenseAccountMatcher] Deterministic matching failed, using first candidate: ${firstCandidate.name}`);
             return {
@@ -148,6 +102,8 @@ export default class ExpenseAccountMatcher {
         const modelConfiguration = await this.#provider.getExpenseAccountCreationPrompt({
             description: transaction.description,
             destinationName: transaction.destination_name,
+            amount: transaction.amount ?? null,
+            date: transaction.date ?? null,
             metadata: {}
         });
 
@@ -167,59 +123,15 @@ export default class ExpenseAccountMatcher {
 
         response.account.description = response.account.description ?? "";
         response.account.source = "ai-new";
+        response.account.provider = modelConfiguration.provider ?? null;
 
         return response;
     }
 
-    #normalizeText(input) {
-        if (!input || typeof input !== "string") {
-            return {
-                normalizedText: "",
-                tokens: [],
-            };
-        }
-
-        if (this.#isPlaceholder(input)) {
-            return {
-                normalizedText: "",
-                tokens: [],
-            };
-        }
-
-        const base = input
-            .normalize("NFD")
-            .replace(/[\u0300-\u036f]/g, "")
-            .toLowerCase();
-
-        const withoutDates = base.replace(/\b\d{4}-\d{2}-\d{2}\b/g, " ");
-        const withoutLongDigits = withoutDates.replace(/\b\d{4,}\b/g, " ");
-
-        let simplified = withoutLongDigits;
-
-        GENERIC_PHRASES.forEach(phrase => {
-            const pattern = new RegExp(`\\b${phrase.replace(/\s+/g, "\\s+")}\\b`, "g");
-            simplified = simplified.replace(pattern, " ");
-        });
-
-        simplified = simplified.replace(/[^a-z\s]/g, " ");
-
-        const tokens = simplified
-            .split(/\s+/)
-            .map(token => token.trim())
-            .filter(token => token.length > 1 && !STOP_WORDS.has(token) && !/^\d+$/.test(token));
-
-        const uniqueTokens = Array.from(new Set(tokens));
-
-        return {
-            normalizedText: uniqueTokens.join(" "),
-            tokens: uniqueTokens,
-        };
-    }
-
     #generateQueries(transaction, descriptionInfo, destinationInfo) {
         const queries = new Set();
 
-        if (transaction.destination_name && !this.#isPlaceholder(transaction.destination_name)) {
+        if (transaction.destination_name && !isPlaceholder(transaction.destination_name)) {
             queries.add(transaction.destination_name.trim());
         }
 
@@ -264,12 +176,12 @@ export default class ExpenseAccountMatcher {
         }
 
         for (const query of queries) {
-            if (this.#isPlaceholder(query)) {
+            if (isPlaceholder(query)) {
                 continue;
             }
             try {
                 const suggestions = await this.#firefly.getExpenseAccountSuggestions(query, this.#autocompleteLimit);
-                const filteredSuggestions = suggestions.filter(candidate => !this.#isPlaceholder(candidate?.name));
+                const filteredSuggestions = suggestions.filter(candidate => !isPlaceholder(candidate?.name));
 
                 if (filteredSuggestions.length > 0) {
                     console.debug(`[ExpenseAccountMatcher] Autocomplete matched '${query}' with ${filteredSuggestions.length} candidate(s)`);
@@ -289,7 +201,7 @@ export default class ExpenseAccountMatcher {
         }
 
         if (candidates.length === 1) {
-            if (this.#isPlaceholder(candidates[0]?.name)) {
+            if (isPlaceholder(candidates[0]?.name)) {
                 return null;
             }
             return candidates[0];
@@ -312,7 +224,7 @@ export default class ExpenseAccountMatcher {
                 continue;
             }
 
-            const normalizedCandidate = this.#normalizeText(candidate.name);
+            const normalizedCandidate = normalizeText(candidate.name);
             const candidateTokens = new Set(normalizedCandidate.tokens);
 
             const matches = [...targetTokens].filter(token => candidateTokens.has(token)).length;
@@ -3,6 +3,9 @@ import {getConfigVariable} from "./util.js";
 export default class FireflyService {
     #BASE_URL;
     #PERSONAL_TOKEN;
+    #CATEGORY_CACHE_TTL_MS;
+
+    #categoryCache = null;
 
     constructor() {
         this.#BASE_URL = getConfigVariable("FIREFLY_URL")
@@ -11,21 +14,60 @@ export default class FireflyService {
         }
 
         this.#PERSONAL_TOKEN = getConfigVariable("FIREFLY_PERSONAL_TOKEN")
+        this.#CATEGORY_CACHE_TTL_MS = parseInt(getConfigVariable("CATEGORY_CACHE_TTL_SECONDS", "300"), 10) * 1000;
     }
 
     /**
      * Fetch a page of transactions from Firefly III.
-     * @param {{limit?: number, page?: number, type?: string}} [options]
+     * @param {{limit?: number, page?: number, type?: string, start?: ?string, end?: ?string, accountId?: ?string}} [options]
+     *   start and end are YYYY-MM-DD dates; accountId limits the result to the transactions of that account.
      * @returns {Promise<object>}
      */
-    async getTransactions({limit = 10, page = 1, type = "default"} = {}) {
+    async getTransactions({limit = 10, page = 1, type = "default", start = null, end = null, accountId = null} = {}) {
         const params = new URLSearchParams({
             limit: String(limit),
             page: String(page),
             type,
         });
 
-        const response = await fetch(`${this.#BASE_URL}/api/v1/transactions?${params.toString()}`, {
+        if (start) {
+            params.set("start", start);
+        }
+        if (end) {
+            params.set("end", end);
+        }
+
+        const path = accountId
+            ? `/api/v1/accounts/${encodeURIComponent(accountId)}/transactions`
+            : `/api/v1/transactions`;
+
+        const response = await fetch(`${this.#BASE_URL}${path}?${params.toString()}`, {
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+            }
+        });
+
+        if (!response.ok) {
+            throw new FireflyException(response.status, response, await response.text());
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Search transactions with the Firefly III search syntax, e.g. `destination_account_is:"Mercadona" has_any_category:true`.
+     * @param {string} query
+     * @param {{limit?: number, page?: number}} [options]
+     * @returns {Promise<object>}
+     */
+    async searchTransactions(query, {limit = 25, page = 1} = {}) {
+        const params = new URLSearchParams({
+            query,
+            limit: String(limit),
+            page: String(page),
+        });
+
+        const response = await fetch(`${this.#BASE_URL}/api/v1/search/transactions?${params.toString()}`, {
             headers: {
                 Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
             }
@@ -60,38 +102,143 @@ export default class FireflyService {
     /**
      * Fetch categories on Firefly III.
      *
+     * @param {{refreshIfMissing?: ?string}} [options] - Fetch the list again when this category is not in the cached one
      * @returns {Promise<Map<string, string>>}
      */
-    async getCategories() {
-        const response = await fetch(`${this.#BASE_URL}/api/v1/categories`, {
-            headers: {
-                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
-            }
-        });
+    async getCategories({refreshIfMissing = null} = {}) {
+        let categories = toCategoryMap(await this.getCategoryDetails());
 
-        if (!response.ok) {
-            throw new FireflyException(response.status, response, await response.text())
+        if (refreshIfMissing != null && !categories.has(refreshIfMissing)) {
+            // The category may have been created after the list was cached.
+            this.invalidateCategories();
+            categories = toCategoryMap(await this.getCategoryDetails());
         }
 
-        const data = await response.json();
+        return categories;
+    }
 
-        const categories = new Map();
-        data.data.forEach(category => {
-            categories.set(category.attributes.name, category.id);
-        });
+    /**
+     * Fetch categories on Firefly III including their notes. The list is cached for CATEGORY_CACHE_TTL_SECONDS and
+     * shared by every caller, concurrent callers wait for the same request.
+     *
+     * @returns {Promise<Array<{id: string, name: string, notes: ?string}>>}
+     */
+    async getCategoryDetails() {
+        if (!this.#categoryCache || this.#categoryCache.expiresAt <= Date.now()) {
+            const request = this.#fetchCategoryDetails();
+            this.#categoryCache = {expiresAt: Date.now() + this.#CATEGORY_CACHE_TTL_MS, request};
+
+            // Never keep a failed request around, the next caller tries again.
+            request.catch(() => {
+                if (this.#categoryCache?.request === request) {
+                    this.#categoryCache = null;
+                }
+            });
+        }
+
+        const details = await this.#categoryCache.request;
+        return details.map(category => ({...category}));
+    }
+
+    /**
+     * Drop the cached category list, the next call fetches it from Firefly III again.
+     */
+    invalidateCategories() {
+        this.#categoryCache = null;
+    }
+
+    async #fetchCategoryDetails() {
+        const headers = {
+            Authorization: `Bearer ${this.#PERSONAL_TOKEN}`
+        };
+
+        let nextUrl = `${this.#BASE_URL}/api/v1/categories`;
+        const categories = [];
+
+        while (nextUrl) {
+            const response = await fetch(nextUrl, {headers});
+
+            if (!response.ok) {
+                throw new FireflyException(response.status, response, await response.text())
+            }
+
+            const data = await response.json();
+
+            data.data.forEach(category => {
+                categories.push({
+                    id: category.id,
+                    name: category.attributes.name,
+                    notes: category.attributes.notes ?? null,
+                });
+            });
+
+            const nextLink = data.links?.next;
+            if (!nextLink) {
+                nextUrl = null;
+                continue;
+            }
+
+            nextUrl = nextLink.startsWith("http")
+                ? nextLink
+                : `${this.#BASE_URL}${nextLink}`;
+        }
 
         return categories;
     }
 
+    /**
+     * Fetch the active budgets on Firefly III.
+     *
+     * @returns {Promise<Map<string, string>>} A map of budget names to budget IDs.
+     */
+    async getBudgets() {
+        const headers = {
+            Authorization: `Bearer ${this.#PERSONAL_TOKEN}`
+        };
+
+        let nextUrl = `${this.#BASE_URL}/api/v1/budgets`;
+        const budgets = new Map();
+
+        while (nextUrl) {
+            const response = await fetch(nextUrl, {headers});
+
+            if (!response.ok) {
+                throw new FireflyException(response.status, response, await response.text());
+            }
+
+            const data = await response.json();
+
+            data.data
+                .filter(budget => budget.attributes.active !== false)
+                .forEach(budget => {
+                    budgets.set(budget.attributes.name, budget.id);
+                });
+
+            const nextLink = data.links?.next;
+            if (!nextLink) {
+                nextUrl = null;
+                continue;
+            }
+
+            nextUrl = nextLink.startsWith("http")
+                ? nextLink
+                : `${this.#BASE_URL}${nextLink}`;
+        }
+
+        return budgets;
+    }
+
     /**
      * Update transaction journals within a transaction by setting a category and adding a tag.
      *
      * @param {string} transactionId - The parent transaction ID to update.
      * @param {Array<{transaction_journal_id: string, tags?: Array<string>}>} transactions - Array of transaction journals to update with categories.
-     * @param {string} categoryId - The category ID to assign to all transaction journals.
+     * @param {string|Map<string, string>} categoryId - The category ID to assign to all transaction journals, or one
+     *   category ID per transaction_journal_id. Journals without an entry keep their category.
+     * @param {{budgetId?: ?string}} [options] - The budget ID to assign to the journals that get a category
      * @returns {Promise<void>}
      */
-    async setCategory(transactionId, transactions, categoryId) {
+    async setCategory(transactionId, transactions, categoryId, {budgetId = null} = {}) {
         const tag = getConfigVariable("FIREFLY_TAG", "AI categorized");
 
         const body = {
@@ -101,17 +248,32 @@ export default class FireflyService {
         }
 
         transactions.forEach(transaction => {
-            let tags = transaction.tags;
-            if (!tags) {
-                tags = [];
+            const journalCategoryId = categoryId instanceof Map
+                ? categoryId.get(String(transaction.transaction_journal_id))
+                : categoryId;
+
+            // Every split must be listed, Firefly III deletes the splits missing from the update.
+            if (journalCategoryId == null) {
+                body.transactions.push({transaction_journal_id: transaction.transaction_journal_id});
+                return;
             }
-            tags.push(tag);
 
-            body.transactions.push({
+            // Copy the tags so that retrying the update never adds the tag twice.
+            const tags = [...(transaction.tags ?? [])];
+            if (!tags.includes(tag)) {
+                tags.push(tag);
+            }
+
+            const journal = {
                 transaction_journal_id: transaction.transaction_journal_id,
-                category_id: categoryId,
+                category_id: journalCategoryId,
                 tags: tags,
-            });
+            };
+            if (budgetId != null) {
+                journal.budget_id = budgetId;
+            }
+
+            body.transactions.push(journal);
         })
 
         const response = await fetch(`${this.#BASE_URL}/api/v1/transactions/${transactionId}`, {
@@ -124,6 +286,10 @@ export default class FireflyService {
         });
 
         if (!response.ok) {
+            // Most likely the category was deleted meanwhile, the cached list must not offer it anymore.
+            if (response.status === 404 || response.status === 422) {
+                this.invalidateCategories();
+            }
             throw new FireflyException(response.status, response, await response.text())
         }
 
@@ -131,6 +297,109 @@ export default class FireflyService {
         console.info("Transaction updated")
     }
 
+    /**
+     * Add a tag to every transaction journal within a transaction, leaving everything else untouched.
+     *
+     * @param {string} transactionId - The parent transaction ID to update.
+     * @param {Array<{transaction_journal_id: string, tags?: Array<string>}>} transactions - Array of transaction journals to tag.
+     * @param {string} tag - The tag to add.
+     * @returns {Promise<void>}
+     */
+    async addTag(transactionId, transactions, tag) {
+        const body = {
+            apply_rules: true,
+            fire_webhooks: true,
+            transactions: transactions.map(transaction => {
+                const tags = [...(transaction.tags ?? [])];
+                if (!tags.includes(tag)) {
+                    tags.push(tag);
+                }
+
+                return {
+                    transaction_journal_id: transaction.transaction_journal_id,
+                    tags,
+                };
+            }),
+        };
+
+        const response = await fetch(`${this.#BASE_URL}/api/v1/transactions/${transactionId}`, {
+            method: "PUT",
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw new FireflyException(response.status, response, await response.text())
+        }
+
+        await response.json();
+        console.info(`Transaction tagged with '${tag}'`)
+    }
+
+    /**
+     * Put the category, destination account and tags of transaction journals back to a previous state.
+     * Webhooks and rules are not fired so the restored state is not changed again right away.
+     *
+     * @param {string} transactionId - The parent transaction ID to update.
+     * @param {Array<{transaction_journal_id: string, category_id: ?string, budget_id: ?string, destination_id: ?string, tags: Array<string>}>} splits - The state to restore.
+     * @returns {Promise<void>}
+     */
+    async restoreTransaction(transactionId, splits) {
+        const body = {
+            apply_rules: false,
+            fire_webhooks: false,
+            transactions: splits.map(split => {
+                const restored = {
+                    transaction_journal_id: split.transaction_journal_id,
+                    category_id: split.category_id,
+                    tags: split.tags,
+                };
+
+                // Firefly only removes the category when both the id and the name are empty.
+                if (split.category_id == null) {
+                    restored.category_name = null;
+                }
+
+                // Snapshots taken before budgets were assigned carry no budget_id at all, leave the budget alone then.
+                if (split.budget_id !== undefined) {
+                    restored.budget_id = split.budget_id;
+                    if (split.budget_id == null) {
+                        restored.budget_name = null;
+                    }
+                }
+
+                if (split.destination_id != null) {
+                    restored.destination_id = split.destination_id;
+                }
+
+                if (split.source_id != null) {
+                    restored.source_id = split.source_id;
+                }
+
+                return restored;
+            }),
+        };
+
+        const response = await fetch(`${this.#BASE_URL}/api/v1/transactions/${transactionId}`, {
+            method: "PUT",
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            throw new FireflyException(response.status, response, await response.text())
+        }
+
+        await response.json();
+        console.info("Transaction restored")
+    }
+
     /**
      * Fetch accounts of a specific type from Firefly III.
      * @param {string} type The type of accounts to fetch (e.g., 'expense').
@@ -215,6 +484,47 @@ export default class FireflyService {
         return data.data.id;
     }
 
+    /**
+     * Count the transactions that use an account.
+     * @param {string} accountId The ID of the account.
+     * @returns {Promise<number>} The number of transactions.
+     */
+    async countAccountTransactions(accountId) {
+        const response = await fetch(`${this.#BASE_URL}/api/v1/accounts/${accountId}/transactions?limit=1`, {
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+            }
+        });
+
+        if (!response.ok) {
+            throw new FireflyException(response.status, response, await response.text());
+        }
+
+        const data = await response.json();
+
+        return data.meta?.pagination?.total ?? data.data.length;
+    }
+
+    /**
+     * Delete an account from Firefly III.
+     * @param {string} accountId The ID of the account to delete.
+     * @returns {Promise<void>}
+     */
+    async deleteAccount(accountId) {
+        const response = await fetch(`${this.#BASE_URL}/api/v1/accounts/${accountId}`, {
+            method: "DELETE",
+            headers: {
+                Authorization: `Bearer ${this.#PERSONAL_TOKEN}`,
+            }
+        });
+
+        if (!response.ok) {
+            throw new FireflyException(response.status, response, await response.text());
+        }
+
+        console.info(`Account ${accountId} deleted`);
+    }
+
     /**
      * Get expense account suggestions using the autocomplete API.
      * @param {string} query The search query based on transaction description/destination.
@@ -222,8 +532,19 @@ export default class FireflyService {
      * @returns {Promise<Array<{name: string, id: string}>>} Array of account suggestions with name and id.
      */
     async getExpenseAccountSuggestions(query, limit = 15) {
+        return this.getAccountSuggestions(query, limit, 'expense');
+    }
+
+    /**
+     * Get account suggestions of one account type using the autocomplete API.
+     * @param {string} query The search query based on transaction description/counterparty.
+     * @param {number} limit The maximum number of results to return (default: 15).
+     * @param {string} type The account type, e.g. 'expense' or 'revenue'.
+     * @returns {Promise<Array<{name: string, id: string}>>} Array of account suggestions with name and id.
+     */
+    async getAccountSuggestions(query, limit = 15, type = 'expense') {
         const params = new URLSearchParams({
-            types: 'expense',
+            types: type,
             query: query.trim(),
             limit: String(limit)
         });
@@ -243,7 +564,7 @@ export default class FireflyService {
 
         const payload = await response.json();
 
-        console.debug(`[ExpenseAccountSuggestions] Processing ${payload.length} account suggestions`);
+        console.debug(`[AccountSuggestions] Processing ${payload.length} ${type} account suggestions`);
 
         const mapped = payload
             .map(account => ({
@@ -301,6 +622,10 @@ export default class FireflyService {
     }
 }
 
+function toCategoryMap(categoryDetails) {
+    return new Map(categoryDetails.map(category => [category.name, category.id]));
+}
+
 class FireflyException extends Error {
     code;
     response;
@@ -1,21 +1,80 @@
 import {v4 as uuid} from "uuid";
 import EventEmitter from "events";
+import MemoryJobStore from "./stores/MemoryJobStore.js";
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Jobs in these states were not completed when the application stopped and need to be re-enqueued.
+const UNFINISHED_STATUSES = new Set(["queued", "in_progress"]);
+
+// Jobs in these states still wait for something to happen and are never pruned.
+const KEPT_STATUSES = new Set([...UNFINISHED_STATUSES, "pending_review"]);
 
 export default class JobList {
     #jobs = new Map();
     #eventEmitter = new EventEmitter();
+    #store;
+    #retentionDays;
 
-    constructor() {
+    /**
+     * @param {import("./stores/JobStore.js").default} [store] - Where jobs are persisted
+     * @param {{retentionDays?: number}} [options] - Finished jobs older than retentionDays are pruned, 0 keeps them forever
+     */
+    constructor(store = new MemoryJobStore(), {retentionDays = 0} = {}) {
+        this.#store = store;
+        this.#retentionDays = retentionDays;
     }
 
     on(event, listener) {
         this.#eventEmitter.on(event, listener);
     }
 
+    /**
+     * Restore the jobs kept by the store.
+     * @returns {Promise<Array<object>>} The jobs that were still queued or in progress
+     */
+    async load() {
+        const storedJobs = await this.#store.loadAll();
+
+        storedJobs
+            .map(job => ({...job, created: new Date(job.created)}))
+            .sort((a, b) => a.created - b.created)
+            .forEach(job => this.#jobs.set(job.id, job));
+
+        await this.pruneExpired();
+
+        return Array.from(this.#jobs.values()).filter(job => UNFINISHED_STATUSES.has(job.status));
+    }
+
+    /**
+     * Drop finished jobs that are older than the retention window.
+     * @returns {Promise<number>} The number of removed jobs
+     */
+    async pruneExpired() {
+        if (!this.#retentionDays || this.#retentionDays <= 0) {
+            return 0;
+        }
+
+        const threshold = Date.now() - this.#retentionDays * DAY_IN_MS;
+        const expired = Array.from(this.#jobs.values())
+            .filter(job => !KEPT_STATUSES.has(job.status) && job.created.getTime() < threshold);
+
+        for (const job of expired) {
+            this.#jobs.delete(job.id);
+            await this.#store.remove(job.id);
+        }
+
+        return expired.length;
+    }
+
     getJobs() {
         return this.#jobs;
     }
 
+    getJob(id) {
+        return this.#jobs.get(id);
+    }
+
     createJob(data) {
         const id = uuid()
         const created = new Date();
@@ -28,6 +87,7 @@ export default class JobList {
         }
 
         this.#jobs.set(id, job);
+        this.#persist(job);
         this.#eventEmitter.emit('job created', {job, jobs: Array.from(this.#jobs.values())})
 
         return job;
@@ -36,18 +96,122 @@ export default class JobList {
     updateJobData(id, data) {
         const job = this.#jobs.get(id);
         job.data = data;
-        this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
+        this.#emitUpdated(job);
+    }
+
+    setJobQueued(id) {
+        const job = this.#jobs.get(id);
+        job.status = "queued";
+        this.#emitUpdated(job);
+    }
+
+    /**
+     * Put a job back into the queued state with fresh data, forgetting the previous error and retries.
+     * @param {string} id
+     * @param {object} data
+     */
+    resetJob(id, data) {
+        const job = this.#jobs.get(id);
+        job.status = "queued";
+        job.data = data;
+        job.error = null;
+        job.retry = null;
+        this.#emitUpdated(job);
+    }
+
+    setJobCancelled(id) {
+        const job = this.#jobs.get(id);
+        job.status = "cancelled";
+        this.#emitUpdated(job);
     }
 
     setJobInProgress(id) {
         const job = this.#jobs.get(id);
         job.status = "in_progress";
-        this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
+        this.#emitUpdated(job);
     }
 
     setJobFinished(id) {
         const job = this.#jobs.get(id);
         job.status = "finished";
+        job.error = null;
+        this.#emitUpdated(job);
+    }
+
+    /**
+     * Mark a dry run job whose proposal was computed but not applied.
+     * @param {string} id
+     */
+    setJobPendingReview(id) {
+        const job = this.#jobs.get(id);
+        job.status = "pending_review";
+        this.#emitUpdated(job);
+    }
+
+    setJobUndone(id) {
+        const job = this.#jobs.get(id);
+        job.status = "undone";
+        this.#emitUpdated(job);
+    }
+
+    setJobRejected(id) {
+        const job = this.#jobs.get(id);
+        job.status = "rejected";
+        this.#emitUpdated(job);
+    }
+
+    /**
+     * Record that a stage of the job is being retried after a transient failure.
+     * @param {string} id
+     * @param {{stage: string, attempt: number, maxAttempts: number, delayMs: number, error: object}} retry - The attempt about to run and the error that caused it
+     */
+    recordRetry(id, {stage, attempt, maxAttempts, delayMs, error}) {
+        const job = this.#jobs.get(id);
+        const history = job.retry?.history ?? [];
+
+        job.retry = {
+            stage,
+            attempt,
+            maxAttempts,
+            history: [...history, {stage, attempt, delayMs, error, at: new Date()}],
+        };
+        this.#emitUpdated(job);
+    }
+
+    /**
+     * Mark a job as failed.
+     * @param {string} id
+     * @param {{name: string, message: string, stage: ?string}} error - The stage is one of classification, budget, account_matching, apply or resume
+     */
+    setJobFailed(id, {name, message, stage}) {
+        const job = this.#jobs.get(id);
+        job.status = "failed";
+        job.error = {name, message, stage};
+        this.#emitUpdated(job);
+    }
+
+    /**
+     * Mark a job as timed out.
+     * @param {string} id
+     * @param {{timeoutSeconds: number, stage: ?string}} timeout - The stage that was running when the timeout hit
+     */
+    setJobTimedOut(id, {timeoutSeconds, stage}) {
+        const job = this.#jobs.get(id);
+        job.status = "timed_out";
+        job.error = {
+            name: "TimeoutError",
+            message: `Job did not complete within ${timeoutSeconds} seconds`,
+            stage,
+        };
+        this.#emitUpdated(job);
+    }
+
+    #emitUpdated(job) {
+        this.#persist(job);
         this.#eventEmitter.emit('job updated', {job, jobs: Array.from(this.#jobs.values())});
     }
-}
\ No newline at end of file
+
+    #persist(job) {
+        this.#store.save(job).catch(error => console.error(`[JobList] Failed to persist job ${job.id}:`, error.message));
+    }
+}
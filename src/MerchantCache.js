@@ -0,0 +1,124 @@
+import MerchantCacheStore from "./stores/MerchantCacheStore.js";
+import {normalizeText} from "./TextNormalizer.js";
+
+/**
+ * Remembers the category and expense account last applied for a merchant, so repeat payees skip the AI.
+ *
+ * Entries are keyed on the normalized counterparty name (the destination of a withdrawal, the source of a deposit),
+ * or on the normalized description when the counterparty carries no information. Deposits and transfers get keys of
+ * their own, so a refund never shares the entry of the purchase.
+ */
+export default class MerchantCache {
+    #store;
+    #enabled;
+    #entries = new Map();
+
+    /**
+     * @param {MerchantCacheStore} [store] - Where entries are persisted
+     * @param {{enabled?: boolean}} [options] - A disabled cache never hits and never remembers anything
+     */
+    constructor(store = new MerchantCacheStore(), {enabled = false} = {}) {
+        this.#store = store;
+        this.#enabled = enabled;
+    }
+
+    get enabled() {
+        return this.#enabled;
+    }
+
+    async load() {
+        if (!this.#enabled) {
+            return;
+        }
+
+        const storedEntries = await this.#store.loadAll();
+        this.#entries = new Map(storedEntries.map(entry => [entry.key, entry]));
+    }
+
+    /**
+     * @param {{destinationName: ?string, description: ?string, type?: string}} transaction - destinationName is the
+     *   counterparty name
+     * @returns {?string} The cache key, null when neither field carries information
+     */
+    static keyFor({destinationName, description, type = "withdrawal"}) {
+        const prefix = type === "withdrawal" ? "" : `${type}:`;
+
+        const destination = normalizeText(destinationName ?? "").normalizedText;
+        if (destination) {
+            return `${prefix}destination:${destination}`;
+        }
+
+        const normalizedDescription = normalizeText(description ?? "").normalizedText;
+        return normalizedDescription ? `${prefix}description:${normalizedDescription}` : null;
+    }
+
+    /**
+     * @param {{destinationName: ?string, description: ?string}} transaction
+     * @returns {?{key: string, category: ?string, expenseAccount: ?{name: string, accountId: string}, transactionId: string, updated: string}}
+     */
+    get(transaction) {
+        if (!this.#enabled) {
+            return null;
+        }
+
+        const entry = this.#entries.get(MerchantCache.keyFor(transaction));
+        return entry ? {...entry} : null;
+    }
+
+    /**
+     * Remember what was applied to a transaction. Fields that were not applied keep their cached value.
+     * @param {{destinationName: ?string, description: ?string}} transaction
+     * @param {{transactionId: string, category?: ?string, expenseAccount?: ?{name: string, accountId: string}}} applied
+     * @returns {Promise<?string>} The cache key, null when nothing was remembered
+     */
+    async remember(transaction, {transactionId, category = null, expenseAccount = null}) {
+        const key = MerchantCache.keyFor(transaction);
+        if (!this.#enabled || !key || (!category && !expenseAccount)) {
+            return null;
+        }
+
+        const previous = this.#entries.get(key);
+        this.#entries.set(key, {
+            key,
+            category: category ?? previous?.category ?? null,
+            expenseAccount: expenseAccount ?? previous?.expenseAccount ?? null,
+            transactionId: String(transactionId),
+            updated: new Date(),
+        });
+        await this.#persist();
+
+        return key;
+    }
+
+    /**
+     * Drop the entry of a transaction's merchant when the category it has now differs from the cached one.
+     * @param {{destinationName: ?string, description: ?string}} transaction
+     * @param {?string} categoryName - The category the transaction has now
+     * @returns {Promise<boolean>} Whether an entry was dropped
+     */
+    async invalidateIfChanged(transaction, categoryName) {
+        const entry = this.get(transaction);
+        if (!entry?.category || entry.category === categoryName) {
+            return false;
+        }
+
+        return this.forget(entry.key);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<boolean>} Whether an entry was dropped
+     */
+    async forget(key) {
+        if (!this.#entries.delete(key)) {
+            return false;
+        }
+
+        await this.#persist();
+        return true;
+    }
+
+    async #persist() {
+        await this.#store.saveAll(Array.from(this.#entries.values()));
+    }
+}
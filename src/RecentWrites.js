@@ -0,0 +1,37 @@
+/**
+ * Remembers which transactions the categorizer itself updated recently.
+ *
+ * Our own PUTs are sent with `fire_webhooks: true`, so Firefly III answers each of them with an UPDATE_TRANSACTION
+ * webhook. Ignoring updates of recently written transactions keeps those from re-triggering a classification forever.
+ */
+export default class RecentWrites {
+    #windowMs;
+    #writes = new Map();
+
+    /**
+     * @param {number} windowSeconds - How long after a write the transaction counts as recently written
+     */
+    constructor(windowSeconds) {
+        this.#windowMs = windowSeconds * 1000;
+    }
+
+    record(transactionId) {
+        this.#prune();
+        this.#writes.set(String(transactionId), Date.now());
+    }
+
+    has(transactionId) {
+        this.#prune();
+        return this.#writes.has(String(transactionId));
+    }
+
+    #prune() {
+        const threshold = Date.now() - this.#windowMs;
+
+        for (const [transactionId, writtenAt] of this.#writes) {
+            if (writtenAt < threshold) {
+                this.#writes.delete(transactionId);
+            }
+        }
+    }
+}
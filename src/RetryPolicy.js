@@ -0,0 +1,161 @@
+import {getConfigVariable} from "./util.js";
+
+const TRANSIENT_NETWORK_CODES = new Set([
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ETIMEDOUT",
+    "EAI_AGAIN",
+    "EPIPE",
+    "UND_ERR_SOCKET",
+    "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+const TRANSIENT_ERROR_NAMES = new Set([
+    "APIConnectionError",
+    "APIConnectionTimeoutError",
+]);
+
+/**
+ * Retries operations that failed with a transient error (HTTP 429, 5xx or a network failure),
+ * waiting an exponentially growing, jittered delay between attempts.
+ */
+export default class RetryPolicy {
+    #maxAttempts;
+    #baseDelayMs;
+    #maxDelayMs;
+
+    constructor({
+        maxAttempts = parseInt(getConfigVariable("RETRY_MAX_ATTEMPTS", "3"), 10),
+        baseDelayMs = parseInt(getConfigVariable("RETRY_BASE_DELAY_MS", "1000"), 10),
+        maxDelayMs = parseInt(getConfigVariable("RETRY_MAX_DELAY_MS", "30000"), 10),
+    } = {}) {
+        this.#maxAttempts = Math.max(1, maxAttempts);
+        this.#baseDelayMs = baseDelayMs;
+        this.#maxDelayMs = maxDelayMs;
+    }
+
+    get maxAttempts() {
+        return this.#maxAttempts;
+    }
+
+    /**
+     * Run an operation, retrying it while it fails with a transient error.
+     * @param {function(number): Promise<*>} operation - Receives the current attempt number, starting at 1
+     * @param {object} [options]
+     * @param {function({attempt: number, maxAttempts: number, delayMs: number, error: Error}): void} [options.onRetry] - Called before waiting for the next attempt, throw to stop retrying
+     * @returns {Promise<*>} The result of the first successful attempt
+     */
+    async execute(operation, {onRetry} = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation(attempt);
+            } catch (error) {
+                if (attempt >= this.#maxAttempts || !isTransientError(error)) {
+                    throw error;
+                }
+
+                const delayMs = this.#getDelay(attempt, error);
+                if (delayMs == null) {
+                    throw error;
+                }
+
+                await onRetry?.({attempt: attempt + 1, maxAttempts: this.#maxAttempts, delayMs, error});
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+
+    #getDelay(attempt, error) {
+        const retryAfterMs = getRetryAfterMs(error);
+        if (retryAfterMs != null) {
+            // Retrying before the server asked us to would only fail again.
+            return retryAfterMs <= this.#maxDelayMs ? retryAfterMs : null;
+        }
+
+        const exponentialDelay = Math.min(this.#maxDelayMs, this.#baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(exponentialDelay / 2 + Math.random() * exponentialDelay / 2);
+    }
+}
+
+/**
+ * Whether an error, or one of the errors that caused it, is worth retrying.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+    for (const current of errorChain(error)) {
+        const status = getStatus(current);
+        if (status != null) {
+            return status === 408 || status === 429 || status >= 500;
+        }
+
+        if (TRANSIENT_NETWORK_CODES.has(current.code) || TRANSIENT_ERROR_NAMES.has(current.name)) {
+            return true;
+        }
+
+        if (current instanceof TypeError && current.message === "fetch failed") {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Read the HTTP status carried by an error, if any.
+ * @param {Error} error
+ * @returns {?number}
+ */
+export function getErrorStatus(error) {
+    for (const current of errorChain(error)) {
+        const status = getStatus(current);
+        if (status != null) {
+            return status;
+        }
+    }
+
+    return null;
+}
+
+function getRetryAfterMs(error) {
+    for (const current of errorChain(error)) {
+        const headers = current.headers ?? current.response?.headers;
+        if (!headers) {
+            continue;
+        }
+
+        const value = typeof headers.get === "function" ? headers.get("retry-after") : headers["retry-after"];
+        if (value == null) {
+            continue;
+        }
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    return null;
+}
+
+function getStatus(error) {
+    // FireflyException keeps the status in `code`, the provider SDKs in `status`.
+    const status = typeof error.status === "number" ? error.status : error.code;
+    return typeof status === "number" ? status : null;
+}
+
+function* errorChain(error) {
+    const seen = new Set();
+    let current = error;
+
+    while (current && typeof current === "object" && !seen.has(current)) {
+        seen.add(current);
+        yield current;
+        current = current.cause ?? current.originalError;
+    }
+}
@@ -0,0 +1,137 @@
+import { isPlaceholder, normalizeText } from "./TextNormalizer.js";
+
+const DEFAULT_AUTOCOMPLETE_LIMIT = 15;
+
+/**
+ * Counterpart of ExpenseAccountMatcher for deposits: finds the revenue account (employer, shop issuing a refund, ...)
+ * that paid us, from the source name of the deposit.
+ *
+ * Revenue accounts are few and their names are usually taken as is from the bank, so no AI is involved: an account is
+ * looked up through the autocomplete endpoint and the full revenue account list, and created from the source name when
+ * neither knows it.
+ */
+export default class RevenueAccountMatcher {
+    #firefly;
+    #autocompleteLimit;
+    #merchantCache;
+
+    constructor(fireflyService, options = {}) {
+        this.#firefly = fireflyService;
+        this.#autocompleteLimit = options.autocompleteLimit ?? DEFAULT_AUTOCOMPLETE_LIMIT;
+        this.#merchantCache = options.merchantCache ?? null;
+    }
+
+    /**
+     * @param {{description: string, source_name: ?string}} transaction
+     * @returns {Promise<{decision: string, account: {id?: string, name: string, description: string, source: string}}>}
+     */
+    async matchTransaction(transaction) {
+        if (!transaction || !transaction.description) {
+            throw new Error("Transaction with description is required");
+        }
+
+        const cached = this.#merchantCache?.get({
+            destinationName: transaction.source_name,
+            description: transaction.description,
+            type: "deposit",
+        });
+
+        if (cached?.expenseAccount?.accountId) {
+            return existingDecision(cached.expenseAccount.accountId, cached.expenseAccount.name, "cache");
+        }
+
+        const sourceInfo = normalizeText(transaction.source_name ?? "");
+        const descriptionInfo = normalizeText(transaction.description);
+
+        const candidate = await this.#findAutocompleteCandidate(transaction.source_name, sourceInfo, descriptionInfo)
+            ?? await this.#findListedAccount(sourceInfo);
+        if (candidate) {
+            return existingDecision(candidate.id, candidate.name, candidate.source);
+        }
+
+        if (isPlaceholder(transaction.source_name)) {
+            throw new Error("Deposit has no source name to match or create a revenue account from");
+        }
+
+        return {
+            decision: "create",
+            account: {
+                name: transaction.source_name.trim(),
+                description: "",
+                source: "source-name",
+            },
+        };
+    }
+
+    async #findAutocompleteCandidate(sourceName, sourceInfo, descriptionInfo) {
+        const queries = new Set();
+        if (!isPlaceholder(sourceName)) {
+            queries.add(sourceName.trim());
+        }
+        if (sourceInfo.normalizedText) {
+            queries.add(sourceInfo.normalizedText);
+        }
+
+        const targetTokens = new Set([...sourceInfo.tokens, ...descriptionInfo.tokens]);
+
+        for (const query of queries) {
+            try {
+                const suggestions = (await this.#firefly.getAccountSuggestions(query, this.#autocompleteLimit, "revenue"))
+                    .filter(suggestion => !isPlaceholder(suggestion?.name));
+
+                const best = bestTokenMatch(suggestions, targetTokens);
+                if (best) {
+                    return {...best, source: "autocomplete"};
+                }
+            } catch (error) {
+                console.error(`[RevenueAccountMatcher] Autocomplete failed for '${query}': ${error.message}`);
+            }
+        }
+
+        return null;
+    }
+
+    async #findListedAccount(sourceInfo) {
+        if (!sourceInfo.normalizedText) {
+            return null;
+        }
+
+        const accounts = await this.#firefly.getAccounts("revenue");
+        for (const [name, id] of accounts) {
+            if (normalizeText(name).normalizedText === sourceInfo.normalizedText) {
+                return {id, name, source: "account-list"};
+            }
+        }
+
+        return null;
+    }
+}
+
+function bestTokenMatch(candidates, targetTokens) {
+    let bestMatch = null;
+    let bestMatchCount = 0;
+
+    for (const candidate of candidates) {
+        const candidateTokens = normalizeText(candidate.name).tokens;
+        const matches = candidateTokens.filter(token => targetTokens.has(token)).length;
+
+        if (matches > bestMatchCount) {
+            bestMatch = candidate;
+            bestMatchCount = matches;
+        }
+    }
+
+    return bestMatch;
+}
+
+function existingDecision(id, name, source) {
+    return {
+        decision: "existing",
+        account: {
+            id,
+            name,
+            description: "",
+            source,
+        },
+    };
+}
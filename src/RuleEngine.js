@@ -0,0 +1,251 @@
+import {v4 as uuid} from "uuid";
+import RuleStore from "./stores/RuleStore.js";
+
+const TEXT_FIELDS = new Set(["description", "destinationName", "sourceAccount"]);
+const TEXT_OPERATORS = new Set(["regex", "contains", "equals"]);
+
+/**
+ * Local rules evaluated before the AI provider. Rules run in ascending priority (then creation order), and the first
+ * enabled rule whose conditions all match decides the category and/or the expense account.
+ *
+ * A rule looks like:
+ * {
+ *   "name": "Mercadona",
+ *   "priority": 0,
+ *   "enabled": true,
+ *   "conditions": [
+ *     {"field": "description", "operator": "contains", "value": "mercadona"},
+ *     {"field": "amount", "min": 0, "max": 300}
+ *   ],
+ *   "category": "Groceries",
+ *   "expenseAccount": "Mercadona"
+ * }
+ */
+export default class RuleEngine {
+    #store;
+    #rules = [];
+
+    /**
+     * @param {RuleStore} [store] - Where rules are persisted
+     */
+    constructor(store = new RuleStore()) {
+        this.#store = store;
+    }
+
+    async load() {
+        const storedRules = await this.#store.loadAll();
+        this.#rules = storedRules.map(rule => ({...rule, ...normalizeRule(rule)}));
+        this.#sort();
+    }
+
+    getRules() {
+        return this.#rules.map(rule => ({...rule}));
+    }
+
+    getRule(id) {
+        const rule = this.#rules.find(rule => rule.id === id);
+        if (!rule) {
+            throw new RuleError(404, "Rule not found");
+        }
+
+        return {...rule};
+    }
+
+    async createRule(input) {
+        const now = new Date();
+        const rule = {
+            id: uuid(),
+            ...normalizeRule(input),
+            created: now,
+            updated: now,
+        };
+
+        this.#rules.push(rule);
+        await this.#persist();
+
+        return {...rule};
+    }
+
+    async updateRule(id, input) {
+        const index = this.#rules.findIndex(rule => rule.id === id);
+        if (index === -1) {
+            throw new RuleError(404, "Rule not found");
+        }
+
+        const rule = {
+            ...this.#rules[index],
+            ...normalizeRule(input),
+            updated: new Date(),
+        };
+
+        this.#rules[index] = rule;
+        await this.#persist();
+
+        return {...rule};
+    }
+
+    async deleteRule(id) {
+        const index = this.#rules.findIndex(rule => rule.id === id);
+        if (index === -1) {
+            throw new RuleError(404, "Rule not found");
+        }
+
+        const [rule] = this.#rules.splice(index, 1);
+        await this.#persist();
+
+        return rule;
+    }
+
+    /**
+     * Find the first enabled rule matching a transaction split.
+     * @param {object} split - A Firefly III transaction split
+     * @returns {?object} The matching rule
+     */
+    match(split) {
+        const rule = this.#rules.find(rule => rule.enabled && rule.conditions.every(condition => matchesCondition(condition, split)));
+        return rule ? {...rule} : null;
+    }
+
+    #sort() {
+        // Array.prototype.sort is stable, rules with the same priority keep their creation order.
+        this.#rules.sort((a, b) => a.priority - b.priority);
+    }
+
+    async #persist() {
+        this.#sort();
+        await this.#store.saveAll(this.#rules);
+    }
+}
+
+function normalizeRule(input) {
+    if (!input || typeof input !== "object") {
+        throw new RuleError(400, "Rule must be an object");
+    }
+
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    if (name.length === 0) {
+        throw new RuleError(400, "name is required");
+    }
+
+    const priority = input.priority ?? 0;
+    if (!Number.isInteger(priority)) {
+        throw new RuleError(400, "priority must be an integer");
+    }
+
+    if (!Array.isArray(input.conditions) || input.conditions.length === 0) {
+        throw new RuleError(400, "conditions must be a non-empty array");
+    }
+
+    const category = normalizeOptionalText(input.category, "category");
+    const expenseAccount = normalizeOptionalText(input.expenseAccount, "expenseAccount");
+    if (!category && !expenseAccount) {
+        throw new RuleError(400, "A rule must set a category, an expenseAccount or both");
+    }
+
+    return {
+        name,
+        priority,
+        enabled: input.enabled !== false,
+        conditions: input.conditions.map(normalizeCondition),
+        category,
+        expenseAccount,
+    };
+}
+
+function normalizeCondition(condition) {
+    if (condition?.field === "amount") {
+        const min = condition.min ?? null;
+        const max = condition.max ?? null;
+
+        if ((min != null && typeof min !== "number") || (max != null && typeof max !== "number")) {
+            throw new RuleError(400, "amount min and max must be numbers");
+        }
+
+        if (min == null && max == null) {
+            throw new RuleError(400, "amount conditions need a min, a max or both");
+        }
+
+        if (min != null && max != null && min > max) {
+            throw new RuleError(400, "amount min must not be greater than max");
+        }
+
+        return {field: "amount", min, max};
+    }
+
+    if (!TEXT_FIELDS.has(condition?.field)) {
+        throw new RuleError(400, `Unknown condition field '${condition?.field}'. Supported fields: ${[...TEXT_FIELDS, "amount"].join(", ")}`);
+    }
+
+    if (!TEXT_OPERATORS.has(condition.operator)) {
+        throw new RuleError(400, `Unknown operator '${condition.operator}'. Supported operators: ${Array.from(TEXT_OPERATORS).join(", ")}`);
+    }
+
+    if (typeof condition.value !== "string" || condition.value.length === 0) {
+        throw new RuleError(400, `${condition.field} condition needs a value`);
+    }
+
+    if (condition.operator === "regex") {
+        try {
+            new RegExp(condition.value, "i");
+        } catch (error) {
+            throw new RuleError(400, `Invalid regex '${condition.value}': ${error.message}`);
+        }
+    }
+
+    return {field: condition.field, operator: condition.operator, value: condition.value};
+}
+
+function normalizeOptionalText(value, name) {
+    if (value == null || value === "") {
+        return null;
+    }
+
+    if (typeof value !== "string" || value.trim().length === 0) {
+        throw new RuleError(400, `${name} must be a string`);
+    }
+
+    return value.trim();
+}
+
+function matchesCondition(condition, split) {
+    if (condition.field === "amount") {
+        const amount = Math.abs(parseFloat(split?.amount));
+        if (Number.isNaN(amount)) {
+            return false;
+        }
+
+        return (condition.min == null || amount >= condition.min) && (condition.max == null || amount <= condition.max);
+    }
+
+    // The source account can be referenced by name or by id.
+    const candidates = {
+        description: [split?.description],
+        destinationName: [split?.destination_name],
+        sourceAccount: [split?.source_name, split?.source_id],
+    }[condition.field];
+
+    return candidates
+        .filter(candidate => candidate != null)
+        .some(candidate => matchesText(condition, String(candidate)));
+}
+
+function matchesText({operator, value}, text) {
+    switch (operator) {
+        case "regex":
+            return new RegExp(value, "i").test(text);
+        case "contains":
+            return text.toLowerCase().includes(value.toLowerCase());
+        case "equals":
+            return text.trim().toLowerCase() === value.trim().toLowerCase();
+        default:
+            return false;
+    }
+}
+
+export class RuleError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'RuleError';
+        this.code = code;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Text helpers shared by everything that compares transactions by their description or destination name.
+ */
+
+const PLACEHOLDER_VALUES = new Set([
+    "",
+    "no name",
+    "sin nombre",
+    "unknown",
+    "desconocido",
+]);
+
+const GENERIC_PHRASES = [
+  "google pay",
+  "apple pay",
+  "compra en",
+  "compras en",
+  "con la tarjeta",
+  "tarjeta",
+]
+
+const STOP_WORDS = new Set([
+  "con",
+  "en",
+  "por",
+  "para",
+  "una",
+  "un",
+  "y",
+  "el",
+  "la",
+  "los",
+  "las",
+  "de",
+  "del",
+  "al",
+  "compra",
+  "compras",
+  "tarjeta",
+  "banco",
+  "pago",
+  "google",
+  "pay",
+  "apple",
+])
+
+/**
+ * Whether a name carries no information, like an empty string or "(no name)".
+ * @param {?string} text
+ * @returns {boolean}
+ */
+export function isPlaceholder(text) {
+    if (text == null) {
+        return true;
+    }
+
+    const normalized = String(text)
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .trim();
+
+    if (normalized.length === 0) {
+        return true;
+    }
+
+    const stripped = normalized
+        .replace(/[()\[\]{}]/g, "")
+        .replace(/"/g, "")
+        .replace(/'+/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    return stripped.length === 0 || PLACEHOLDER_VALUES.has(stripped);
+}
+
+/**
+ * Reduce a description or a name to its meaningful tokens, dropping accents, dates, long numbers, payment
+ * method phrases and stop words.
+ * @param {?string} input
+ * @returns {{normalizedText: string, tokens: string[]}}
+ */
+export function normalizeText(input) {
+    if (!input || typeof input !== "string") {
+        return {
+            normalizedText: "",
+            tokens: [],
+        };
+    }
+
+    if (isPlaceholder(input)) {
+        return {
+            normalizedText: "",
+            tokens: [],
+        };
+    }
+
+    const base = input
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase();
+
+    const withoutDates = base.replace(/\b\d{4}-\d{2}-\d{2}\b/g, " ");
+    const withoutLongDigits = withoutDates.replace(/\b\d{4,}\b/g, " ");
+
+    let simplified = withoutLongDigits;
+
+    GENERIC_PHRASES.forEach(phrase => {
+        const pattern = new RegExp(`\\b${phrase.replace(/\s+/g, "\\s+")}\\b`, "g");
+        simplified = simplified.replace(pattern, " ");
+    });
+
+    simplified = simplified.replace(/[^a-z\s]/g, " ");
+
+    const tokens = simplified
+        .split(/\s+/)
+        .map(token => token.trim())
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token) && !/^\d+$/.test(token));
+
+    const uniqueTokens = Array.from(new Set(tokens));
+
+    return {
+        normalizedText: uniqueTokens.join(" "),
+        tokens: uniqueTokens,
+    };
+}
@@ -1,7 +1,19 @@
+export const WEBHOOK_TRIGGERS = new Set(["STORE_TRANSACTION", "UPDATE_TRANSACTION", "DESTROY_TRANSACTION"]);
+export const TRANSACTION_TYPES = new Set(["withdrawal", "deposit", "transfer"]);
+
+const DEFAULT_TYPES = new Set(["withdrawal"]);
+
 export default class TransactionValidator {
-    static validateWebhookPayload(body) {
-        if (body?.trigger !== "STORE_TRANSACTION") {
-            throw new WebhookException("trigger is not STORE_TRANSACTION. Request will not be processed");
+    /**
+     * Validate a webhook delivery.
+     * @param {object} body - The webhook payload
+     * @param {Set<string>} [enabledTriggers] - The triggers that should be processed
+     * @param {Set<string>} [types] - The transaction types that can be classified
+     * @returns {{trigger: string, transactionId: string, transactions: Array<object>, type: ?string, destinationName: ?string, sourceName: ?string, description: ?string, classifiable: boolean}}
+     */
+    static validateWebhookPayload(body, enabledTriggers = new Set(["STORE_TRANSACTION"]), types = DEFAULT_TYPES) {
+        if (!enabledTriggers.has(body?.trigger)) {
+            throw new WebhookException(`trigger ${body?.trigger} is not enabled (${Array.from(enabledTriggers).join(", ")}). Request will not be processed`);
         }
 
         if (body?.response !== "TRANSACTIONS") {
@@ -12,27 +24,65 @@ export default class TransactionValidator {
             throw new WebhookException("Missing content.id");
         }
 
+        // A destroyed transaction only needs to be identified, there is nothing left to classify.
+        if (body.trigger === "DESTROY_TRANSACTION") {
+            return {
+                trigger: body.trigger,
+                transactionId: body.content.id,
+                transactions: body.content.transactions ?? [],
+                type: null,
+                destinationName: null,
+                sourceName: null,
+                description: null,
+                classifiable: false
+            };
+        }
+
         if (body?.content?.transactions?.length === 0) {
             throw new WebhookException("No transactions are available in content.transactions");
         }
 
         const primarySplit = body.content.transactions[0];
-        this.validateClassifiableTransaction(primarySplit);
+
+        // An edited transaction that already has a category is not classified again, the caller may still react to it.
+        if (body.trigger === "UPDATE_TRANSACTION" && body.content.transactions.every(split => split?.category_id != null)) {
+            return {
+                trigger: body.trigger,
+                transactionId: body.content.id,
+                transactions: body.content.transactions,
+                type: primarySplit.type ?? null,
+                destinationName: primarySplit.destination_name ?? null,
+                sourceName: primarySplit.source_name ?? null,
+                description: primarySplit.description ?? null,
+                classifiable: false
+            };
+        }
+
+        this.validateClassifiableTransaction(primarySplit, body.content.transactions, types);
 
         return {
+            trigger: body.trigger,
             transactionId: body.content.id,
             transactions: body.content.transactions,
+            type: primarySplit.type,
             destinationName: primarySplit.destination_name,
-            description: primarySplit.description
+            sourceName: primarySplit.source_name ?? null,
+            description: primarySplit.description,
+            classifiable: true
         };
     }
 
-    static validateClassifiableTransaction(transaction) {
-        if (transaction?.type !== "withdrawal") {
-            throw new WebhookException("Transaction type must be 'withdrawal'");
+    /**
+     * @param {object} transaction - The primary split
+     * @param {Array<object>} [splits] - All splits, the transaction is classifiable while one of them has no category
+     * @param {Set<string>} [types] - The transaction types that can be classified
+     */
+    static validateClassifiableTransaction(transaction, splits = [transaction], types = DEFAULT_TYPES) {
+        if (!types.has(transaction?.type)) {
+            throw new WebhookException(`Transaction type must be one of '${Array.from(types).join("', '")}'`);
         }
 
-        if (transaction?.category_id !== null) {
+        if (splits.every(split => split?.category_id !== null)) {
             throw new WebhookException("Transaction already has a category");
         }
 
@@ -40,22 +90,31 @@ export default class TransactionValidator {
             throw new WebhookException("Missing transaction description");
         }
 
-        if (!transaction?.destination_name) {
+        if (transaction.type === "withdrawal" && !transaction?.destination_name) {
             throw new WebhookException("Missing transaction destination_name");
         }
+
+        if (transaction.type === "deposit" && !transaction?.source_name) {
+            throw new WebhookException("Missing transaction source_name");
+        }
     }
 
-    static validateTransactionSplits(splits) {
+    /**
+     * @param {Array<object>} splits
+     * @param {Set<string>} [types] - The transaction types that can be classified
+     * @returns {object} The primary split
+     */
+    static validateTransactionSplits(splits, types = DEFAULT_TYPES) {
         if (!Array.isArray(splits) || splits.length === 0) {
             throw new ValidationError(400, "Transaction has no splits to classify");
         }
 
         const primarySplit = splits[0];
-        if (primarySplit?.type !== "withdrawal") {
-            throw new ValidationError(400, "Only withdrawal transactions can be classified");
+        if (!types.has(primarySplit?.type)) {
+            throw new ValidationError(400, `Only ${Array.from(types).join(", ")} transactions can be classified`);
         }
 
-        if (primarySplit?.category_id != null) {
+        if (splits.every(split => split?.category_id != null)) {
             throw new ValidationError(400, "Transaction already has a category");
         }
 
@@ -63,10 +122,14 @@ export default class TransactionValidator {
             throw new ValidationError(400, "Transaction is missing a description");
         }
 
-        if (!primarySplit?.destination_name) {
+        if (primarySplit.type === "withdrawal" && !primarySplit?.destination_name) {
             throw new ValidationError(400, "Transaction is missing a destination name");
         }
 
+        if (primarySplit.type === "deposit" && !primarySplit?.source_name) {
+            throw new ValidationError(400, "Transaction is missing a source name");
+        }
+
         return primarySplit;
     }
 }
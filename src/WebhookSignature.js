@@ -0,0 +1,76 @@
+import crypto from "crypto";
+
+/**
+ * Verifies the `Signature` header Firefly III sends with every webhook delivery.
+ *
+ * The header looks like `t=1610738765,v1=d62463af...`, where v1 is the hex encoded
+ * HMAC-SHA3-256 of `${t}.${rawBody}` keyed with the webhook secret.
+ */
+export default class WebhookSignature {
+    /**
+     * @param {object} options
+     * @param {?string} options.header - The value of the Signature header
+     * @param {?Buffer} options.rawBody - The request body exactly as it was received
+     * @param {string} options.secret - The secret shown on the webhook page in Firefly III
+     * @param {number} options.toleranceSeconds - How far the signature timestamp may be from now
+     * @param {number} [options.now] - The current time in milliseconds
+     * @throws {WebhookSignatureError} When the signature is missing, malformed, expired or does not match
+     */
+    static verify({header, rawBody, secret, toleranceSeconds, now = Date.now()}) {
+        if (!header) {
+            throw new WebhookSignatureError("Missing Signature header");
+        }
+
+        if (!rawBody) {
+            throw new WebhookSignatureError("Missing request body");
+        }
+
+        const {timestamp, signatures} = this.#parseHeader(header);
+
+        if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+            throw new WebhookSignatureError("Signature timestamp is outside the tolerance window");
+        }
+
+        const expected = crypto
+            .createHmac("sha3-256", secret)
+            .update(`${timestamp}.${rawBody.toString("utf8")}`)
+            .digest();
+
+        const matches = signatures.some(signature => {
+            const received = Buffer.from(signature, "hex");
+            return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+        });
+
+        if (!matches) {
+            throw new WebhookSignatureError("Signature does not match");
+        }
+    }
+
+    static #parseHeader(header) {
+        let timestamp = null;
+        const signatures = [];
+
+        header.split(",").forEach(part => {
+            const [key, value] = part.trim().split("=", 2);
+
+            if (key === "t") {
+                timestamp = parseInt(value, 10);
+            } else if (key === "v1" && value) {
+                signatures.push(value);
+            }
+        });
+
+        if (timestamp == null || Number.isNaN(timestamp) || signatures.length === 0) {
+            throw new WebhookSignatureError("Malformed Signature header");
+        }
+
+        return {timestamp, signatures};
+    }
+}
+
+export class WebhookSignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookSignatureError';
+    }
+}
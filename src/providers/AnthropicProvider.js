@@ -0,0 +1,132 @@
+import Provider from "./Provider.js";
+import { getConfigVariable } from "../util.js";
+
+const ANTHROPIC_VERSION = "2023-06-01";
+const RESPONSE_TOOL_NAME = "respond";
+
+/**
+ * Anthropic's Messages API has no JSON response format. The response schema is offered as the input schema of the
+ * only tool and the model is forced to call it, the tool input is the structured response.
+ */
+export default class AnthropicProvider extends Provider {
+    #apiKey;
+    #baseUrl;
+    #modelName;
+    #defaultOptions = {};
+
+    constructor() {
+        super();
+
+        this.#apiKey = getConfigVariable("ANTHROPIC_API_KEY");
+        this.#baseUrl = getConfigVariable("ANTHROPIC_BASE_URL", "https://api.anthropic.com");
+        this.#modelName = getConfigVariable("ANTHROPIC_MODEL", "claude-sonnet-4-5");
+
+        this.#defaultOptions = {
+            temperature: parseFloat(getConfigVariable("ANTHROPIC_TEMPERATURE", "0.7")),
+            max_tokens: parseInt(getConfigVariable("ANTHROPIC_MAX_TOKENS", "2048"), 10),
+        };
+    }
+
+    /**
+     * Gets a structured completion from Anthropic's Messages API.
+     * @param {Object} modelConfiguration - The model configuration to use for completion
+     * @param {Object} [modelOptions={}] - Additional model options to override defaults
+     * @param {number} [modelOptions.temperature] - Sampling temperature (0.0-1.0), overrides default
+     * @param {number} [modelOptions.max_tokens] - Maximum tokens to generate, overrides default
+     * @returns {Promise<Object>} Promise resolving to the input of the response tool, or the parsed text without a schema
+     * @throws {AnthropicProviderException} When API call fails or returns an error
+     */
+    async getCompletion(modelConfiguration, modelOptions = {}) {
+        console.debug(`[AnthropicProvider] getCompletion called`);
+        console.debug(`[AnthropicProvider] Model configuration:`, JSON.stringify(modelConfiguration));
+        console.debug(`[AnthropicProvider] Model options:`, JSON.stringify(modelOptions));
+
+        try {
+            const requestBody = {
+                model: this.#modelName,
+                messages: [
+                    {
+                        role: "user",
+                        content: modelConfiguration.prompt
+                    }
+                ],
+                ...this.#defaultOptions,
+                ...modelOptions,
+            };
+
+            if (modelConfiguration.responseSchema) {
+                requestBody.tools = [
+                    {
+                        name: RESPONSE_TOOL_NAME,
+                        description: "Record the response to the request",
+                        input_schema: modelConfiguration.responseSchema,
+                    }
+                ];
+                requestBody.tool_choice = {type: "tool", name: RESPONSE_TOOL_NAME};
+            }
+
+            console.debug(`[AnthropicProvider] Final request body:`, JSON.stringify(requestBody));
+
+            const response = await fetch(`${this.#baseUrl}/v1/messages`, {
+                method: "POST",
+                headers: {
+                    "x-api-key": this.#apiKey,
+                    "anthropic-version": ANTHROPIC_VERSION,
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify(requestBody),
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new AnthropicHttpError(response.status, response.headers, errorText);
+            }
+
+            const data = await response.json();
+            console.debug(`[AnthropicProvider] Received response:`, JSON.stringify(data));
+
+            if (modelConfiguration.responseSchema) {
+                const toolUse = data.content?.find(block => block.type === "tool_use" && block.name === RESPONSE_TOOL_NAME);
+                if (!toolUse) {
+                    throw new Error(`No ${RESPONSE_TOOL_NAME} tool call found in response (stop reason: ${data.stop_reason})`);
+                }
+
+                return toolUse.input;
+            }
+
+            const text = data.content?.filter(block => block.type === "text").map(block => block.text).join("");
+            if (!text) {
+                throw new Error("No content found in response");
+            }
+
+            return JSON.parse(text.trim());
+        } catch (error) {
+            console.error(`[AnthropicProvider] Error:`, error.message);
+            throw new AnthropicProviderException(error.message, error);
+        }
+    }
+}
+
+class AnthropicHttpError extends Error {
+    status;
+    headers;
+
+    constructor(status, headers, body) {
+        super(`HTTP ${status}: ${body}`);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+class AnthropicProviderException extends Error {
+    #cause;
+
+    constructor(message, cause = null) {
+        super(`Error while communicating with Anthropic: ${message}`);
+        this.#cause = cause;
+    }
+
+    get cause() {
+        return this.#cause;
+    }
+}
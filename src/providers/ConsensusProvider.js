@@ -0,0 +1,142 @@
+import Provider from "./Provider.js";
+
+/**
+ * Asks every provider and takes a majority vote, for transactions where a single model is easily wrong.
+ *
+ * Classification and budget prompts are voted on their `category` and `budget`. The winner's confidence is the mean
+ * confidence of the providers that voted for it, scaled by the share of asked providers that agree, so any disagreement
+ * lowers it, and so does a provider that failed to answer. A tie goes to the answer with the highest summed confidence.
+ * Prompts without a vote, like the expense account creation, take the answer of the first provider that answered.
+ *
+ * Like FallbackProvider, the prompt methods build the configuration of every provider. getCompletion records on the
+ * returned configuration every provider's answer (`consensus`) and the providers that voted for the winner (`provider`).
+ */
+export default class ConsensusProvider extends Provider {
+    #providers;
+
+    /**
+     * @param {Array<{name: string, provider: Provider}>} providers - At least two
+     */
+    constructor(providers) {
+        super();
+
+        this.#providers = providers;
+    }
+
+    async getCompletion(modelConfiguration, modelOptions = {}) {
+        const answers = await Promise.all(this.#providers.map(async ({name, provider}) => {
+            try {
+                const response = await provider.getCompletion(modelConfiguration.configurations.get(name), modelOptions);
+                return {provider: name, response};
+            } catch (error) {
+                console.warn(`[ConsensusProvider] ${name} failed: ${error.message}`);
+                return {provider: name, error: error.message};
+            }
+        }));
+
+        const answered = answers.filter(answer => answer.response);
+        if (answered.length === 0) {
+            throw new ConsensusProviderException(answers);
+        }
+
+        const voteField = modelConfiguration.voteField;
+        if (!voteField) {
+            modelConfiguration.provider = answered[0].provider;
+            modelConfiguration.consensus = {answers, votes: null, agreement: null};
+            return answered[0].response;
+        }
+
+        const votes = new Map();
+        answered.forEach(answer => {
+            const choice = answer.response[voteField];
+            const vote = votes.get(choice) ?? {choice, answers: [], confidenceSum: 0};
+            vote.answers.push(answer);
+            vote.confidenceSum += clampConfidence(answer.response.confidence) ?? 0;
+            votes.set(choice, vote);
+        });
+
+        const winner = Array.from(votes.values())
+            .sort((a, b) => b.answers.length - a.answers.length || b.confidenceSum - a.confidenceSum)[0];
+        const agreement = winner.answers.length / answers.length;
+
+        const confidences = winner.answers
+            .map(answer => clampConfidence(answer.response.confidence))
+            .filter(confidence => confidence != null);
+        const meanConfidence = confidences.length > 0
+            ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length
+            : 1;
+
+        const mostConfident = [...winner.answers]
+            .sort((a, b) => (clampConfidence(b.response.confidence) ?? 0) - (clampConfidence(a.response.confidence) ?? 0))[0];
+
+        modelConfiguration.provider = winner.answers.map(answer => answer.provider).join(", ");
+        modelConfiguration.consensus = {
+            answers: answers.map(answer => answer.response
+                ? {
+                    provider: answer.provider,
+                    [voteField]: answer.response[voteField] ?? null,
+                    confidence: clampConfidence(answer.response.confidence),
+                    reasoning: answer.response.reasoning ?? null,
+                }
+                : answer),
+            votes: Object.fromEntries(Array.from(votes.values()).map(vote => [String(vote.choice), vote.answers.length])),
+            agreement,
+        };
+
+        return {
+            ...mostConfident.response,
+            [voteField]: winner.choice,
+            confidence: meanConfidence * agreement,
+            reasoning: agreement < 1
+                ? `${winner.answers.length} of ${answers.length} providers agree. ${mostConfident.response.reasoning ?? ""}`.trim()
+                : mostConfident.response.reasoning,
+        };
+    }
+
+    async getClassificationPrompt(options) {
+        return this.#buildConfigurations(provider => provider.getClassificationPrompt(options), "category");
+    }
+
+    async getBudgetPrompt(options) {
+        return this.#buildConfigurations(provider => provider.getBudgetPrompt(options), "budget");
+    }
+
+    async getExpenseAccountCreationPrompt(options) {
+        return this.#buildConfigurations(provider => provider.getExpenseAccountCreationPrompt(options), null);
+    }
+
+    async #buildConfigurations(build, voteField) {
+        const configurations = new Map();
+        for (const {name, provider} of this.#providers) {
+            configurations.set(name, await build(provider));
+        }
+
+        const [primary] = configurations.values();
+
+        return {
+            prompt: primary.prompt,
+            responseSchema: primary.responseSchema,
+            configurations,
+            voteField,
+            provider: null,
+            consensus: null,
+        };
+    }
+}
+
+function clampConfidence(value) {
+    const confidence = Number(value);
+    if (value == null || Number.isNaN(confidence)) {
+        return null;
+    }
+
+    return Math.min(1, Math.max(0, confidence));
+}
+
+export class ConsensusProviderException extends Error {
+    constructor(answers) {
+        super(`All providers failed: ${answers.map(answer => `${answer.provider}: ${answer.error}`).join("; ")}`);
+        this.name = "ConsensusProviderException";
+        this.answers = answers;
+    }
+}
@@ -0,0 +1,159 @@
+import Provider from "./Provider.js";
+
+/**
+ * Tries a list of providers in order until one answers, so a rate limited or unavailable provider does not fail every
+ * job. A provider that failed failureThreshold times in a row is skipped for cooldownMs before it is tried again.
+ *
+ * Each provider speaks its own schema dialect, so the prompt methods build the configuration of every provider. The
+ * returned configuration carries them along with the prompt and schema of the first provider, and getCompletion
+ * records on it which provider answered (`provider`, `prompt` becomes its prompt) and which failed before (`failures`).
+ */
+export default class FallbackProvider extends Provider {
+    #providers;
+
+    /**
+     * @param {Array<{name: string, provider: Provider}>} providers - In the order they are tried
+     * @param {{failureThreshold?: number, cooldownMs?: number}} [options]
+     */
+    constructor(providers, {failureThreshold = 3, cooldownMs = 60000} = {}) {
+        super();
+
+        this.#providers = providers.map(({name, provider}) => ({
+            name,
+            provider,
+            breaker: new CircuitBreaker(failureThreshold, cooldownMs),
+        }));
+    }
+
+    async getCompletion(modelConfiguration, modelOptions = {}) {
+        const failures = [];
+        modelConfiguration.failures = failures;
+        let lastError = null;
+
+        for (const {name, provider, breaker} of this.#providers) {
+            if (!breaker.allowsRequest()) {
+                failures.push({provider: name, error: "circuit open"});
+                continue;
+            }
+
+            try {
+                const configuration = modelConfiguration.configurations.get(name);
+                const response = await provider.getCompletion(configuration, modelOptions);
+                breaker.recordSuccess();
+                modelConfiguration.provider = name;
+                modelConfiguration.prompt = configuration.prompt;
+
+                return response;
+            } catch (error) {
+                if (breaker.recordFailure()) {
+                    console.warn(`[FallbackProvider] ${name} failed ${breaker.failures} times in a row, skipping it for ${breaker.cooldownMs / 1000}s`);
+                }
+                console.warn(`[FallbackProvider] ${name} failed, trying the next provider: ${error.message}`);
+                failures.push({provider: name, error: error.message});
+                lastError = error;
+            }
+        }
+
+        throw new FallbackProviderException(failures, lastError);
+    }
+
+    async getClassificationPrompt(options) {
+        return this.#buildConfigurations(provider => provider.getClassificationPrompt(options));
+    }
+
+    async getBudgetPrompt(options) {
+        return this.#buildConfigurations(provider => provider.getBudgetPrompt(options));
+    }
+
+    async getExpenseAccountCreationPrompt(options) {
+        return this.#buildConfigurations(provider => provider.getExpenseAccountCreationPrompt(options));
+    }
+
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            providers: this.#providers.map(({name, breaker}) => ({name, state: breaker.state})),
+        };
+    }
+
+    async #buildConfigurations(build) {
+        const configurations = new Map();
+        for (const {name, provider} of this.#providers) {
+            configurations.set(name, await build(provider));
+        }
+
+        const [primary] = configurations.values();
+
+        return {
+            prompt: primary.prompt,
+            responseSchema: primary.responseSchema,
+            configurations,
+            provider: null,
+            failures: [],
+        };
+    }
+}
+
+class CircuitBreaker {
+    #failureThreshold;
+    #cooldownMs;
+    #failures = 0;
+    #openedAt = null;
+
+    constructor(failureThreshold, cooldownMs) {
+        this.#failureThreshold = failureThreshold;
+        this.#cooldownMs = cooldownMs;
+    }
+
+    get failures() {
+        return this.#failures;
+    }
+
+    get cooldownMs() {
+        return this.#cooldownMs;
+    }
+
+    get state() {
+        if (this.#openedAt === null) {
+            return "closed";
+        }
+
+        return Date.now() - this.#openedAt < this.#cooldownMs ? "open" : "half_open";
+    }
+
+    allowsRequest() {
+        return this.state !== "open";
+    }
+
+    recordSuccess() {
+        this.#failures = 0;
+        this.#openedAt = null;
+    }
+
+    /**
+     * @returns {boolean} Whether the failure opened the circuit
+     */
+    recordFailure() {
+        this.#failures++;
+
+        // A failed trial after the cooldown opens the circuit again right away.
+        if (this.state === "half_open" || this.#failures >= this.#failureThreshold) {
+            this.#openedAt = Date.now();
+            return true;
+        }
+
+        return false;
+    }
+}
+
+export class FallbackProviderException extends Error {
+    /**
+     * @param {Array<{provider: string, error: string}>} failures
+     * @param {?Error} lastError - The error of the last provider that was tried, so RetryPolicy can tell a 429 or 503
+     */
+    constructor(failures, lastError = null) {
+        super(`All providers failed: ${failures.map(failure => `${failure.provider}: ${failure.error}`).join("; ")}`, {cause: lastError ?? undefined});
+        this.name = "FallbackProviderException";
+        this.failures = failures;
+    }
+}
@@ -72,79 +72,26 @@ export default class GeminiProvider extends Provider {
     }
   }
 
-  async getClassificationPrompt({categories, destinationName, description, metadata = {}}) {
-      const categoryList = categories.join(", ");
-      const responseMimeType = "application/json";
-      const responseSchema = {
-        type: "object",
-        properties: {
-          category: {
-            type: "string",
-            enum: categories,
-          },
-        },
-        required: ["category"],
-      };
-      const prompt = `You are an automated financial transaction classifier. Categorize this transaction:
-
-      TRANSACTION DATA:
-      - Destination: "${destinationName}"
-      - Description: "${description}"
-
-      Available categories: [${categoryList}]
-
-      Choose the most appropiate category from the list above.`;
-      return {responseMimeType, responseSchema, prompt};
+  /**
+   * Gemini's response schema is an OpenAPI subset without additionalProperties.
+   */
+  buildConfiguration(prompt, responseSchema) {
+    return {responseMimeType: "application/json", responseSchema: withoutAdditionalProperties(responseSchema), prompt};
   }
+}
 
-  async getExpenseAccountCreationPrompt({description, destinationName, metadata = {}}) {
-    const responseMimeType = "application/json";
-    const responseSchema = {
-        type: "object",
-        properties: {
-            decision: {
-                type: "string",
-                enum: ["create"],
-                description: "Always 'create' for new account generation"
-            },
-            account: {
-                type: "object",
-                properties: {
-                    name: {
-                        type: "string",
-                        description: "Specific merchant or brand name (2-4 words ideally)"
-                    },
-                    description: {
-                        type: "string",
-                        description: "Brief description of what this account covers"
-                    }
-                },
-                required: ["name", "description"]
-            }
-        },
-        required: ["decision", "account"]
-    };
-
-    const prompt = `You are creating specific expense accounts for financial transactions. Your goal is to create accounts using the actual merchant/brand name rather than generic categories.
-
-    TRANSACTION DATA:
-    - Description: "${description}"
-    - Merchant/Location: ${destinationName || 'Not specified'}
-
-    RULES FOR ACCOUNT NAMING:
-    1. ALWAYS prefer the actual merchant/brand name over generic categories
-    2. Use the exact business name if available and recognizable
-    3. Only use generic names when the merchant is unclear (like "ATM Withdrawal")
-    4. Keep names concise but descriptive (2-4 words ideally)
-
-    EXAMPLES:
-    GOOD: "Starbucks Coffee", "Shell Gas Station", "Amazon Purchase", "Walmart Groceries"
-    BAD: "Coffee Shop", "Gas Station", "Online Shopping", "Grocery Store"
-
-    Create an appropriate expense account for this transaction.`;
+function withoutAdditionalProperties(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(withoutAdditionalProperties);
+  }
 
-    return {responseMimeType, responseSchema, prompt};
+  if (!schema || typeof schema !== "object") {
+    return schema;
   }
+
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => key !== "additionalProperties")
+    .map(([key, value]) => [key, withoutAdditionalProperties(value)]));
 }
 
 class GeminiProviderException extends Error {
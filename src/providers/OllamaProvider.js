@@ -0,0 +1,158 @@
+import OpenAiProvider, { OpenAiException } from "./OpenAiProvider.js";
+import { getConfigVariable } from "../util.js";
+
+const STRUCTURED_OUTPUT_MODES = new Set(["auto", "json_schema", "prompt"]);
+
+// Statuses OpenAI-compatible servers answer with when they don't understand a json_schema response_format.
+const UNSUPPORTED_FORMAT_STATUSES = new Set([400, 422, 501]);
+
+/**
+ * Talks to a local OpenAI-compatible server like Ollama or llama.cpp through OpenAiProvider's client, so transactions
+ * never leave the house. No API key is needed.
+ *
+ * Not every server supports json_schema response formats. In `auto` mode the schema is sent first, and when the server
+ * rejects it the schema is embedded in the prompt instead and the JSON is picked out of whatever the model answers.
+ */
+export default class OllamaProvider extends OpenAiProvider {
+  #structuredOutput;
+
+  constructor() {
+    super({
+      // The OpenAI client refuses to start without a key, local servers ignore it.
+      apiKey: getConfigVariable("OLLAMA_API_KEY", "ollama"),
+      baseURL: getConfigVariable("OLLAMA_BASE_URL", "http://localhost:11434/v1"),
+      modelName: getConfigVariable("OLLAMA_MODEL", "llama3.1"),
+      temperature: parseFloat(getConfigVariable("OLLAMA_TEMPERATURE", "0.2")),
+      maxTokens: parseInt(getConfigVariable("OLLAMA_MAX_TOKENS", "2048"), 10),
+    });
+
+    this.#structuredOutput = getConfigVariable("OLLAMA_STRUCTURED_OUTPUT", "auto").toLowerCase();
+    if (!STRUCTURED_OUTPUT_MODES.has(this.#structuredOutput)) {
+      throw new Error(`OLLAMA_STRUCTURED_OUTPUT '${this.#structuredOutput}' not supported. Supported modes: ${Array.from(STRUCTURED_OUTPUT_MODES).join(", ")}`);
+    }
+  }
+
+  /**
+   * Gets a completion from the OpenAI-compatible server, falling back to prompt-embedded JSON instructions when the
+   * server does not support json_schema response formats.
+   * @param {Object} modelConfiguration - The model configuration to use for completion
+   * @param {Object} [modelOptions={}] - Additional model options to override defaults
+   * @returns {Promise<Object>} Promise resolving to the parsed response
+   * @throws {OllamaProviderException} When the server cannot be reached or answers with an error
+   */
+  async getCompletion(modelConfiguration, modelOptions = {}) {
+    try {
+      if (!modelConfiguration.responseSchema || this.#structuredOutput === "prompt") {
+        return await super.getCompletion(this.#embedSchema(modelConfiguration), modelOptions);
+      }
+
+      try {
+        return await super.getCompletion(modelConfiguration, modelOptions);
+      } catch (error) {
+        if (this.#structuredOutput !== "auto" || !UNSUPPORTED_FORMAT_STATUSES.has(error.cause?.status)) {
+          throw error;
+        }
+
+        console.warn(`[OllamaProvider] Server rejected the json_schema response format (HTTP ${error.cause.status}), retrying with JSON instructions in the prompt`);
+        const response = await super.getCompletion(this.#embedSchema(modelConfiguration), modelOptions);
+
+        // Only remember it once the fallback worked, the 400 may have had another reason.
+        this.#structuredOutput = "prompt";
+        return response;
+      }
+    } catch (error) {
+      const cause = error instanceof OpenAiException ? error.cause : error;
+      throw new OllamaProviderException(cause?.message ?? error.message, cause);
+    }
+  }
+
+  /**
+   * Local models like to wrap their JSON in prose, markdown fences or <think> blocks. Take the first JSON object found.
+   * @param {string} content
+   * @returns {Object}
+   */
+  parseContent(content) {
+    const text = String(content ?? "")
+      .replace(/<think>[\s\S]*?<\/think>/gi, "")
+      .replace(/```(?:json)?/gi, "")
+      .trim();
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      const json = extractFirstObject(text);
+      if (!json) {
+        throw new Error(`No JSON object found in response: ${text.slice(0, 200)}`);
+      }
+
+      return JSON.parse(json);
+    }
+  }
+
+  #embedSchema(modelConfiguration) {
+    if (!modelConfiguration.responseSchema) {
+      return modelConfiguration;
+    }
+
+    return {
+      ...modelConfiguration,
+      responseSchema: null,
+      prompt: `${modelConfiguration.prompt}
+
+Answer with a single JSON object and nothing else, no markdown and no explanations. It must match this JSON schema:
+${JSON.stringify(modelConfiguration.responseSchema)}`,
+    };
+  }
+}
+
+function extractFirstObject(text) {
+  const start = text.indexOf("{");
+  if (start === -1) {
+    return null;
+  }
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) {
+        return text.slice(start, index + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+class OllamaProviderException extends Error {
+  #cause;
+
+  constructor(message, cause = null) {
+    super(`Error while communicating with the OpenAI-compatible server: ${message}`);
+    this.#cause = cause;
+  }
+
+  get cause() {
+    return this.#cause;
+  }
+}
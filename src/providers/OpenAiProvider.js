@@ -7,18 +7,32 @@ export default class OpenAiProvider extends Provider {
   #modelName;
   #defaultOptions = {};
 
-  constructor() {
+  /**
+   * @param {Object} [connection] - Overrides of the OPENAI_* configuration, for OpenAI-compatible servers
+   * @param {string} [connection.apiKey]
+   * @param {?string} [connection.baseURL] - Defaults to the OpenAI API
+   * @param {string} [connection.modelName]
+   * @param {number} [connection.temperature]
+   * @param {number} [connection.maxTokens]
+   */
+  constructor({
+    apiKey = getConfigVariable("OPENAI_API_KEY"),
+    baseURL = null,
+    modelName = getConfigVariable("OPENAI_MODEL", "gpt-4-turbo-preview"),
+    temperature = parseFloat(getConfigVariable("OPENAI_TEMPERATURE", "0.7")),
+    maxTokens = parseInt(getConfigVariable("OPENAI_MAX_TOKENS", "2048"), 10),
+  } = {}) {
     super();
 
-    const apiKey = getConfigVariable("OPENAI_API_KEY");
-    this.#modelName = getConfigVariable("OPENAI_MODEL", "gpt-4-turbo-preview");
+    this.#modelName = modelName;
 
     this.#defaultOptions = {
-      temperature: parseFloat(getConfigVariable("OPENAI_TEMPERATURE", "0.7")),
-      max_tokens: parseInt(getConfigVariable("OPENAI_MAX_TOKENS", "2048"), 10)
+      temperature,
+      max_tokens: maxTokens
     };
 
-    this.#openai = new OpenAI({ apiKey });
+    // RetryPolicy retries failed jobs, the client must not retry on its own or every attempt hides up to 3 requests.
+    this.#openai = new OpenAI({ apiKey, maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
   }
 
   /**
@@ -31,9 +45,9 @@ export default class OpenAiProvider extends Provider {
    * @throws {OpenAiException} When OpenAI API call fails or returns an error
    */
   async getCompletion(modelConfiguration, modelOptions = {}) {
-    console.debug(`[OpenAiProvider] getCompletion called`);
-    console.debug(`[OpenAiProvider] Model configuration:`, JSON.stringify(modelConfiguration));
-    console.debug(`[OpenAiProvider] Model options:`, JSON.stringify(modelOptions));
+    console.debug(`[${this.constructor.name}] getCompletion called`);
+    console.debug(`[${this.constructor.name}] Model configuration:`, JSON.stringify(modelConfiguration));
+    console.debug(`[${this.constructor.name}] Model options:`, JSON.stringify(modelOptions));
 
     try {
       const messages = [
@@ -61,99 +75,31 @@ export default class OpenAiProvider extends Provider {
         };
       }
 
-      console.debug(`[OpenAiProvider] Final completion config:`, completionConfig);
+      console.debug(`[${this.constructor.name}] Final completion config:`, completionConfig);
 
       const response = await this.#openai.chat.completions.create(completionConfig);
 
       const content = response.choices[0].message.content;
-      console.debug(`[OpenAiProvider] Received response:`, content);
+      console.debug(`[${this.constructor.name}] Received response:`, content);
 
-      return JSON.parse(content);
+      return this.parseContent(content);
     } catch (error) {
-      console.error(`[OpenAiProvider] Error:`, error.message);
+      console.error(`[${this.constructor.name}] Error:`, error.message);
       throw new OpenAiException(error.message, error);
     }
   }
 
-  async getClassificationPrompt({categories, destinationName, description, metadata = {}}) {
-    const categoryList = categories.join(", ");
-    const responseSchema = {
-      type: "object",
-      properties: {
-        category: {
-          type: "string",
-          enum: categories,
-        },
-      },
-      required: ["category"],
-      additionalProperties: false
-    };
-
-    const prompt = `You are an automated financial transaction classifier. Categorize this transaction:
-
-    TRANSACTION DATA:
-    - Destination: "${destinationName}"
-    - Description: "${description}"
-
-    Available categories: [${categoryList}]
-
-    Choose the most appropriate category from the list above.`;
-
-    return {responseSchema, prompt};
-  }
-
-  async getExpenseAccountCreationPrompt({description, destinationName, metadata = {}}) {
-    const responseSchema = {
-      type: "object",
-      properties: {
-        decision: {
-          type: "string",
-          enum: ["create"],
-          description: "Always 'create' for new account generation"
-        },
-        account: {
-          type: "object",
-          properties: {
-            name: {
-              type: "string",
-              description: "Specific merchant or brand name (2-4 words ideally)"
-            },
-            description: {
-              type: "string",
-              description: "Brief description of what this account covers"
-            }
-          },
-          required: ["name", "description"],
-          additionalProperties: false
-        }
-      },
-      required: ["decision", "account"],
-      additionalProperties: false
-    };
-
-    const prompt = `You are creating specific expense accounts for financial transactions. Your goal is to create accounts using the actual merchant/brand name rather than generic categories.
-
-    TRANSACTION DATA:
-    - Description: "${description}"
-    - Merchant/Location: ${destinationName || 'Not specified'}
-
-    RULES FOR ACCOUNT NAMING:
-    1. ALWAYS prefer the actual merchant/brand name over generic categories
-    2. Use the exact business name if available and recognizable
-    3. Only use generic names when the merchant is unclear (like "ATM Withdrawal")
-    4. Keep names concise but descriptive (2-4 words ideally)
-
-    EXAMPLES:
-    GOOD: "Starbucks Coffee", "Shell Gas Station", "Amazon Purchase", "Walmart Groceries"
-    BAD: "Coffee Shop", "Gas Station", "Online Shopping", "Grocery Store"
-
-    Create an appropriate expense account for this transaction.`;
-
-    return {responseSchema, prompt};
+  /**
+   * Turn the message content of a completion into the response object.
+   * @param {string} content
+   * @returns {Object}
+   */
+  parseContent(content) {
+    return JSON.parse(content);
   }
 }
 
-class OpenAiException extends Error {
+export class OpenAiException extends Error {
   #cause;
 
   constructor(message, cause = null) {
@@ -0,0 +1,77 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import {fileURLToPath} from "node:url";
+import {getConfigVariable} from "../util.js";
+
+const BUILT_IN_DIR = fileURLToPath(new URL("../../prompts/", import.meta.url));
+
+const TEMPLATE_FILES = new Map([
+    ["classification", "classification.txt"],
+    ["budget", "budget.txt"],
+    ["expenseAccount", "expense-account.txt"],
+]);
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * The prompt texts shared by every provider, kept in plain text files with {{variable}} placeholders.
+ *
+ * Templates are read from PROMPT_TEMPLATES_DIR, a template missing there falls back to the one shipped in prompts/.
+ * The files are read again for every prompt, edits apply without a restart.
+ */
+export default class PromptTemplates {
+    #dir;
+    #language;
+
+    /**
+     * @param {string} [dir] - Where the user's templates are
+     * @param {string} [language] - The language the model writes its explanations in, the {{language}} variable
+     */
+    constructor(dir = getConfigVariable("PROMPT_TEMPLATES_DIR", BUILT_IN_DIR), language = getConfigVariable("PROMPT_LANGUAGE", "English")) {
+        this.#dir = dir;
+        this.#language = language;
+    }
+
+    /**
+     * @param {string} name - classification, budget or expenseAccount
+     * @param {Object<string, *>} templateVariables - The values of the placeholders, null and undefined render as ""
+     * @returns {Promise<string>}
+     * @throws {PromptTemplateError} When the template uses a variable that is not provided
+     */
+    async render(name, templateVariables) {
+        const template = await this.#load(name);
+        const variables = {language: this.#language, ...templateVariables};
+
+        return template.replace(VARIABLE_PATTERN, (placeholder, variable) => {
+            if (!Object.hasOwn(variables, variable)) {
+                throw new PromptTemplateError(`Template '${name}' uses unknown variable ${placeholder}. Known variables: ${Object.keys(variables).join(", ")}`);
+            }
+
+            return String(variables[variable] ?? "");
+        }).trim();
+    }
+
+    async #load(name) {
+        const file = TEMPLATE_FILES.get(name);
+        if (!file) {
+            throw new PromptTemplateError(`Unknown prompt template '${name}'`);
+        }
+
+        try {
+            return await fs.readFile(path.join(this.#dir, file), "utf8");
+        } catch (error) {
+            if (error.code !== "ENOENT" || path.resolve(this.#dir) === path.resolve(BUILT_IN_DIR)) {
+                throw error;
+            }
+
+            return fs.readFile(path.join(BUILT_IN_DIR, file), "utf8");
+        }
+    }
+}
+
+export class PromptTemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptTemplateError';
+    }
+}
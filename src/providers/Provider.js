@@ -1,4 +1,20 @@
+import PromptTemplates from "./PromptTemplates.js";
+
+/**
+ * What the budget prompt answers when none of the budgets fits.
+ */
+export const NO_BUDGET = "(no budget)";
+
 export default class Provider {
+    #templates;
+
+    /**
+     * @param {PromptTemplates} [templates] - Where the prompt texts come from
+     */
+    constructor(templates = new PromptTemplates()) {
+        this.#templates = templates;
+    }
+
     /**
      * Get completion from the model.
      * @param {string} prompt - The prompt to send
@@ -15,13 +31,100 @@ export default class Provider {
      * Get classification prompt for transaction categorization.
      * @param {object} options - The classification options
      * @param {string[]} options.categories - List of categories to classify into
+     * @param {Array<{name: string, description: ?string, include: string[], exclude: string[]}>} [options.categoryHints=[]] -
+     *   Descriptions of the categories that need one to be told apart
+     * @param {string} [options.type="withdrawal"] - Transaction type: withdrawal, deposit or transfer
      * @param {string} options.destinationName - Transaction destination name
+     * @param {?string} [options.sourceName] - Transaction source name
      * @param {string} options.description - Transaction description
+     * @param {?string} [options.amount=null] - Transaction amount, only sent when the template uses it
+     * @param {?string} [options.date=null] - Transaction date (YYYY-MM-DD), only sent when the template uses it
+     * @param {?{index: number, count: number, amount: string}} [options.split=null] - Set when only one split of a
+     *   multi-split transaction is classified
+     * @param {Array<{destinationName: string, description: string, category: string}>} [options.examples=[]] - Similar,
+     *   already categorized transactions to show as few-shot examples
      * @param {object} [options.metadata={}] - Additional metadata for the transaction
-     * @returns {Promise<Object>} The classification prompt configuration to use
+     * @returns {Promise<Object>} The classification prompt configuration to use. Its completion resolves to
+     *   {category: string, confidence: number, reasoning: string}, confidence ranging from 0 to 1.
      */
-    async getClassificationPrompt({categories, destinationName, description, metadata = {}}) { // eslint-disable-line no-unused-vars
-        throw new Error(`${this.constructor.name}.getClassificationPrompt must be implemented`);
+    async getClassificationPrompt({categories, categoryHints = [], type = "withdrawal", destinationName, sourceName = null, description, amount = null, date = null, split = null, examples = [], metadata = {}}) { // eslint-disable-line no-unused-vars
+        const prompt = await this.#templates.render("classification", {
+            categories: categories.join(", "),
+            categoryHints: this.formatCategoryHints(categoryHints),
+            examples: this.formatExamples(examples),
+            destination: destinationName,
+            source: sourceName,
+            description,
+            amount,
+            date,
+            transactionType: this.formatTransactionType(type, sourceName),
+            split: this.formatSplit(split),
+        });
+
+        return this.buildConfiguration(prompt, {
+            type: "object",
+            properties: {
+                category: {
+                    type: "string",
+                    enum: categories,
+                },
+                confidence: {
+                    type: "number",
+                    description: "How sure you are about the category, from 0 (pure guess) to 1 (certain)",
+                },
+                reasoning: {
+                    type: "string",
+                    description: "One short sentence explaining why the category fits",
+                },
+            },
+            required: ["category", "confidence", "reasoning"],
+            additionalProperties: false
+        });
+    }
+
+    /**
+     * Get budget prompt for transaction budgeting.
+     * @param {object} options - The budget options
+     * @param {string[]} options.budgets - List of budgets to choose from
+     * @param {string} options.destinationName - Transaction destination name
+     * @param {string} options.description - Transaction description
+     * @param {?string} [options.category=null] - The category the transaction was classified into
+     * @param {?string} [options.amount=null] - Transaction amount, only sent when the template uses it
+     * @param {?string} [options.date=null] - Transaction date (YYYY-MM-DD), only sent when the template uses it
+     * @param {object} [options.metadata={}] - Additional metadata for the transaction
+     * @returns {Promise<Object>} The budget prompt configuration to use. Its completion resolves to
+     *   {budget: string, confidence: number, reasoning: string}, budget being NO_BUDGET when none fits.
+     */
+    async getBudgetPrompt({budgets, destinationName, description, category = null, amount = null, date = null, metadata = {}}) { // eslint-disable-line no-unused-vars
+        const prompt = await this.#templates.render("budget", {
+            budgets: budgets.join(", "),
+            noBudget: NO_BUDGET,
+            destination: destinationName,
+            description,
+            category: category ?? "none",
+            amount,
+            date,
+        });
+
+        return this.buildConfiguration(prompt, {
+            type: "object",
+            properties: {
+                budget: {
+                    type: "string",
+                    enum: [...budgets, NO_BUDGET],
+                },
+                confidence: {
+                    type: "number",
+                    description: "How sure you are about the budget, from 0 (pure guess) to 1 (certain)",
+                },
+                reasoning: {
+                    type: "string",
+                    description: "One short sentence explaining why the budget fits",
+                },
+            },
+            required: ["budget", "confidence", "reasoning"],
+            additionalProperties: false
+        });
     }
 
     /**
@@ -29,11 +132,133 @@ export default class Provider {
      * @param {object} options - The account creation options
      * @param {string} options.description - Transaction description
      * @param {string} [options.destinationName] - Transaction destination/merchant name
+     * @param {?string} [options.amount=null] - Transaction amount, only sent when the template uses it
+     * @param {?string} [options.date=null] - Transaction date (YYYY-MM-DD), only sent when the template uses it
      * @param {object} [options.metadata={}] - Additional metadata for the transaction
      * @returns {Promise<Object>} The expense account creation prompt configuration to use
      */
-    async getExpenseAccountCreationPrompt({description, destinationName, metadata = {}}) { // eslint-disable-line no-unused-vars
-        throw new Error(`${this.constructor.name}.getExpenseAccountCreationPrompt must be implemented`);
+    async getExpenseAccountCreationPrompt({description, destinationName, amount = null, date = null, metadata = {}}) { // eslint-disable-line no-unused-vars
+        const prompt = await this.#templates.render("expenseAccount", {
+            destination: destinationName || "Not specified",
+            description,
+            amount,
+            date,
+        });
+
+        return this.buildConfiguration(prompt, {
+            type: "object",
+            properties: {
+                decision: {
+                    type: "string",
+                    enum: ["create"],
+                    description: "Always 'create' for new account generation"
+                },
+                account: {
+                    type: "object",
+                    properties: {
+                        name: {
+                            type: "string",
+                            description: "Specific merchant or brand name (2-4 words ideally)"
+                        },
+                        description: {
+                            type: "string",
+                            description: "Brief description of what this account covers"
+                        }
+                    },
+                    required: ["name", "description"],
+                    additionalProperties: false
+                }
+            },
+            required: ["decision", "account"],
+            additionalProperties: false
+        });
+    }
+
+    /**
+     * Wrap a rendered prompt and its response schema into the configuration getCompletion expects. Providers whose API
+     * speaks another schema dialect override this.
+     * @param {string} prompt
+     * @param {object} responseSchema - A JSON schema
+     * @returns {Object}
+     */
+    buildConfiguration(prompt, responseSchema) {
+        return {responseSchema, prompt};
+    }
+
+    /**
+     * Render what kind of transaction is classified. Withdrawals are the default and are not mentioned.
+     * @param {string} type - withdrawal, deposit or transfer
+     * @param {?string} sourceName - Where the money came from
+     * @returns {string} The type lines, or an empty string for a withdrawal
+     */
+    formatTransactionType(type = "withdrawal", sourceName = null) {
+        if (type === "deposit") {
+            return `\n- Type: deposit (money received, for example income or a refund)\n- Source: "${sourceName ?? ""}"`;
+        }
+
+        if (type === "transfer") {
+            return `\n- Type: transfer between own accounts (for example savings or paying off a credit card)\n- Source: "${sourceName ?? ""}"`;
+        }
+
+        return "";
+    }
+
+    /**
+     * Render the split details of a classification prompt.
+     * @param {?{index: number, count: number, amount: string}} split
+     * @returns {string} The split lines, or an empty string for a transaction without splits
+     */
+    formatSplit(split = null) {
+        if (!split) {
+            return "";
+        }
+
+        return `\n- Amount: ${split.amount}\n- This is split ${split.index + 1} of ${split.count} of one transaction, categorize only this split`;
+    }
+
+    /**
+     * Render category descriptions for a classification prompt.
+     * @param {Array<{name: string, description: ?string, include: string[], exclude: string[]}>} categoryHints
+     * @returns {string} The descriptions block, or an empty string when there are none
+     */
+    formatCategoryHints(categoryHints = []) {
+        if (categoryHints.length === 0) {
+            return "";
+        }
+
+        const lines = categoryHints.map(hint => {
+            const parts = [];
+            if (hint.description) {
+                parts.push(/[.!?…]$/.test(hint.description) ? hint.description : `${hint.description}.`);
+            }
+            if (hint.include.length > 0) {
+                parts.push(`Includes: ${hint.include.join(", ")}.`);
+            }
+            if (hint.exclude.length > 0) {
+                parts.push(`Does not include: ${hint.exclude.join(", ")}.`);
+            }
+
+            return `- ${hint.name}: ${parts.join(" ")}`;
+        });
+
+        return `\n\nWhat the categories are used for:\n${lines.join("\n")}`;
+    }
+
+    /**
+     * Render few-shot examples for a classification prompt.
+     * @param {Array<{type?: string, destinationName: string, sourceName?: string, description: string, category: string}>} examples
+     * @returns {string} The examples block, or an empty string when there are none
+     */
+    formatExamples(examples = []) {
+        if (examples.length === 0) {
+            return "";
+        }
+
+        const lines = examples.map(example => example.type === "deposit"
+            ? `- Source: "${example.sourceName}", Description: "${example.description}" -> ${example.category}`
+            : `- Destination: "${example.destinationName}", Description: "${example.description}" -> ${example.category}`);
+
+        return `\n\nSimilar transactions we categorized before, follow the same conventions:\n${lines.join("\n")}`;
     }
 
     // Expose a lightweight capability descriptor for diagnostics and UI.
@@ -72,7 +72,7 @@ export default class SyntheticProvider extends Provider {
 
             if (!response.ok) {
                 const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
+                throw new SyntheticHttpError(response.status, response.headers, errorText);
             }
 
             const data = await response.json();
@@ -92,83 +92,16 @@ export default class SyntheticProvider extends Provider {
             throw new SyntheticProviderException(error.message, error);
         }
     }
+}
 
-    async getClassificationPrompt({categories, destinationName, description, metadata = {}}) {
-        const categoryList = categories.join(", ");
-
-        const responseSchema = {
-            type: "object",
-            properties: {
-                category: {
-                    type: "string",
-                    enum: categories,
-                },
-            },
-            required: ["category"],
-            additionalProperties: false
-        };
-
-        const prompt = `You are an automated financial transaction classifier. Categorize this transaction:
-
-        TRANSACTION DATA:
-        - Destination: "${destinationName}"
-        - Description: "${description}"
-
-        Available categories: [${categoryList}]
-
-        Choose the most appropriate category from the list above.`;
-
-        return {responseSchema, prompt};
-    }
-
-    async getExpenseAccountCreationPrompt({description, destinationName, metadata = {}}) {
-        const responseSchema = {
-            type: "object",
-            properties: {
-                decision: {
-                    type: "string",
-                    enum: ["create"],
-                    description: "Always 'create' for new account generation"
-                },
-                account: {
-                    type: "object",
-                    properties: {
-                        name: {
-                            type: "string",
-                            description: "Specific merchant or brand name (2-4 words ideally)"
-                        },
-                        description: {
-                            type: "string",
-                            description: "Brief description of what this account covers"
-                        }
-                    },
-                    required: ["name", "description"],
-                    additionalProperties: false
-                }
-            },
-            required: ["decision", "account"],
-            additionalProperties: false
-        };
-
-        const prompt = `You are creating specific expense accounts for financial transactions. Your goal is to create accounts using the actual merchant/brand name rather than generic categories.
-
-        TRANSACTION DATA:
-        - Description: "${description}"
-        - Merchant/Location: ${destinationName || 'Not specified'}
-
-        RULES FOR ACCOUNT NAMING:
-        1. ALWAYS prefer the actual merchant/brand name over generic categories
-        2. Use the exact business name if available and recognizable
-        3. Only use generic names when the merchant is unclear (like "ATM Withdrawal")
-        4. Keep names concise but descriptive (2-4 words ideally)
-
-        EXAMPLES:
-        GOOD: "Starbucks Coffee", "Shell Gas Station", "Amazon Purchase", "Walmart Groceries"
-        BAD: "Coffee Shop", "Gas Station", "Online Shopping", "Grocery Store"
-
-        Create an appropriate expense account for this transaction.`;
+class SyntheticHttpError extends Error {
+    status;
+    headers;
 
-        return {responseSchema, prompt};
+    constructor(status, headers, body) {
+        super(`HTTP ${status}: ${body}`);
+        this.status = status;
+        this.headers = headers;
     }
 }
 
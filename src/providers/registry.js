@@ -2,13 +2,21 @@ import {getConfigVariable, MissingEnvironmentVariableException} from "../util.js
 import OpenAiProvider from "./OpenAiProvider.js";
 import GeminiProvider from "./GeminiProvider.js";
 import SyntheticProvider from "./SyntheticProvider.js";
+import OllamaProvider from "./OllamaProvider.js";
+import AnthropicProvider from "./AnthropicProvider.js";
+import FallbackProvider from "./FallbackProvider.js";
+import ConsensusProvider from "./ConsensusProvider.js";
 
 const PROVIDER_FACTORIES = new Map([
     ["openai", () => new OpenAiProvider()],
     ["gemini", () => new GeminiProvider()],
     ["synthetic", () => new SyntheticProvider()],
+    ["ollama", () => new OllamaProvider()],
+    ["anthropic", () => new AnthropicProvider()],
 ]);
 
+const PROVIDER_MODES = new Set(["fallback", "consensus"]);
+
 export class ProviderConfigurationError extends Error {
     constructor(message, options = {}) {
         super(message, options);
@@ -16,7 +24,44 @@ export class ProviderConfigurationError extends Error {
 }
 
 export function createProviderFromConfig() {
-    const selectedProvider = getConfigVariable("AI_PROVIDER", "openai").toLowerCase();
+    const selectedProviders = getConfigVariable("AI_PROVIDER", "openai")
+        .split(",")
+        .map(name => name.trim().toLowerCase())
+        .filter(name => name.length > 0);
+
+    if (selectedProviders.length === 0) {
+        throw new ProviderConfigurationError(`AI_PROVIDER is empty. Supported providers: ${Array.from(PROVIDER_FACTORIES.keys()).join(", ")}`);
+    }
+
+    if (new Set(selectedProviders).size !== selectedProviders.length) {
+        throw new ProviderConfigurationError(`AI_PROVIDER '${selectedProviders.join(",")}' lists a provider more than once`);
+    }
+
+    const mode = getConfigVariable("AI_PROVIDER_MODE", "fallback").toLowerCase();
+    if (!PROVIDER_MODES.has(mode)) {
+        throw new ProviderConfigurationError(`AI_PROVIDER_MODE '${mode}' is not supported. Supported modes: ${Array.from(PROVIDER_MODES).join(", ")}`);
+    }
+
+    if (mode === "consensus" && selectedProviders.length < 2) {
+        throw new ProviderConfigurationError("AI_PROVIDER_MODE=consensus needs at least two providers in AI_PROVIDER");
+    }
+
+    const providers = selectedProviders.map(name => ({name, provider: createProvider(name)}));
+    if (providers.length === 1) {
+        return providers[0].provider;
+    }
+
+    if (mode === "consensus") {
+        return new ConsensusProvider(providers);
+    }
+
+    return new FallbackProvider(providers, {
+        failureThreshold: parseInt(getConfigVariable("PROVIDER_FAILURE_THRESHOLD", "3"), 10),
+        cooldownMs: parseInt(getConfigVariable("PROVIDER_COOLDOWN_SECONDS", "60"), 10) * 1000,
+    });
+}
+
+function createProvider(selectedProvider) {
     const factory = PROVIDER_FACTORIES.get(selectedProvider);
 
     if (!factory) {
@@ -0,0 +1,56 @@
+import JobStore from "./JobStore.js";
+import {getConfigVariable, readJsonFile, writeJsonFile} from "../util.js";
+
+/**
+ * Persists all jobs into a single JSON file. Writes are coalesced: while a write runs, any number of updates share a
+ * single pending write that serializes the latest state once it starts, so a burst of updates costs two writes, not one
+ * rewrite of the whole file per update.
+ */
+export default class FileJobStore extends JobStore {
+    #path;
+    #jobs = new Map();
+    #writing = Promise.resolve();
+    #pendingWrite = null;
+
+    constructor(path = getConfigVariable("JOB_STORE_PATH", "data/jobs.json")) {
+        super();
+        this.#path = path;
+    }
+
+    async loadAll() {
+        const stored = await readJsonFile(this.#path, []);
+
+        this.#jobs = new Map();
+        stored.forEach(job => this.#jobs.set(job.id, job));
+
+        return Array.from(this.#jobs.values());
+    }
+
+    async save(job) {
+        this.#jobs.set(job.id, job);
+        return this.#flush();
+    }
+
+    async remove(id) {
+        this.#jobs.delete(id);
+        return this.#flush();
+    }
+
+    #flush() {
+        if (this.#pendingWrite) {
+            return this.#pendingWrite;
+        }
+
+        this.#pendingWrite = this.#writing
+            .catch(() => {})
+            .then(() => {
+                // From here on, updates need another write: this one may already have serialized the jobs.
+                this.#pendingWrite = null;
+                this.#writing = writeJsonFile(this.#path, Array.from(this.#jobs.values()));
+
+                return this.#writing;
+            });
+
+        return this.#pendingWrite;
+    }
+}
@@ -0,0 +1,27 @@
+export default class JobStore {
+    /**
+     * Load every persisted job.
+     * @returns {Promise<Array<object>>} The stored jobs, in no particular order
+     */
+    async loadAll() {
+        throw new Error(`${this.constructor.name}.loadAll must be implemented`);
+    }
+
+    /**
+     * Insert or replace a job.
+     * @param {object} job - The job to persist
+     * @returns {Promise<void>}
+     */
+    async save(job) { // eslint-disable-line no-unused-vars
+        throw new Error(`${this.constructor.name}.save must be implemented`);
+    }
+
+    /**
+     * Remove a job from the store.
+     * @param {string} id - The id of the job to remove
+     * @returns {Promise<void>}
+     */
+    async remove(id) { // eslint-disable-line no-unused-vars
+        throw new Error(`${this.constructor.name}.remove must be implemented`);
+    }
+}
@@ -0,0 +1,16 @@
+import JobStore from "./JobStore.js";
+
+/**
+ * Keeps nothing across restarts. This is the historical behaviour and the default.
+ */
+export default class MemoryJobStore extends JobStore {
+    async loadAll() {
+        return [];
+    }
+
+    async save(job) { // eslint-disable-line no-unused-vars
+    }
+
+    async remove(id) { // eslint-disable-line no-unused-vars
+    }
+}
@@ -0,0 +1,28 @@
+import {getConfigVariable, readJsonFile, writeJsonFile} from "../util.js";
+
+/**
+ * Persists the merchant cache entries into a single JSON file.
+ * Writes are serialized so concurrent changes never interleave on disk.
+ */
+export default class MerchantCacheStore {
+    #path;
+    #writeChain = Promise.resolve();
+
+    constructor(path = getConfigVariable("MERCHANT_CACHE_PATH", "data/merchant-cache.json")) {
+        this.#path = path;
+    }
+
+    async loadAll() {
+        return readJsonFile(this.#path, []);
+    }
+
+    async saveAll(entries) {
+        const snapshot = JSON.parse(JSON.stringify(entries));
+
+        this.#writeChain = this.#writeChain
+            .catch(() => {})
+            .then(() => writeJsonFile(this.#path, snapshot));
+
+        return this.#writeChain;
+    }
+}
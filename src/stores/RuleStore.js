@@ -0,0 +1,28 @@
+import {getConfigVariable, readJsonFile, writeJsonFile} from "../util.js";
+
+/**
+ * Persists the classification rules into a single JSON file, in evaluation order.
+ * Writes are serialized so concurrent changes never interleave on disk.
+ */
+export default class RuleStore {
+    #path;
+    #writeChain = Promise.resolve();
+
+    constructor(path = getConfigVariable("RULES_PATH", "data/rules.json")) {
+        this.#path = path;
+    }
+
+    async loadAll() {
+        return readJsonFile(this.#path, []);
+    }
+
+    async saveAll(rules) {
+        const snapshot = JSON.parse(JSON.stringify(rules));
+
+        this.#writeChain = this.#writeChain
+            .catch(() => {})
+            .then(() => writeJsonFile(this.#path, snapshot));
+
+        return this.#writeChain;
+    }
+}
@@ -0,0 +1,25 @@
+import {getConfigVariable} from "../util.js";
+import MemoryJobStore from "./MemoryJobStore.js";
+import FileJobStore from "./FileJobStore.js";
+
+const JOB_STORE_FACTORIES = new Map([
+    ["memory", () => new MemoryJobStore()],
+    ["file", () => new FileJobStore()],
+]);
+
+export class JobStoreConfigurationError extends Error {
+    constructor(message, options = {}) {
+        super(message, options);
+    }
+}
+
+export function createJobStoreFromConfig() {
+    const selectedStore = getConfigVariable("JOB_STORE", "memory").toLowerCase();
+    const factory = JOB_STORE_FACTORIES.get(selectedStore);
+
+    if (!factory) {
+        throw new JobStoreConfigurationError(`JOB_STORE '${selectedStore}' is not supported. Supported stores: ${Array.from(JOB_STORE_FACTORIES.keys()).join(", ")}`);
+    }
+
+    return factory();
+}
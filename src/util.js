@@ -1,3 +1,6 @@
+import {promises as fs} from "fs";
+import {dirname} from "path";
+
 export class MissingEnvironmentVariableException extends Error {
     variableName;
 
@@ -19,3 +22,37 @@ export function getConfigVariable(name, defaultValue = null) {
 
     return process.env[name];
 }
+
+
+/**
+ * Read and parse a JSON file, returning the fallback when the file does not exist yet.
+ * @param {string} path
+ * @param {*} [fallback=null]
+ * @returns {Promise<*>}
+ */
+export async function readJsonFile(path, fallback = null) {
+    try {
+        const content = await fs.readFile(path, "utf8");
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return fallback;
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Write data as JSON, going through a temporary file so a crash never leaves a truncated file behind.
+ * @param {string} path
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(path, data) {
+    await fs.mkdir(dirname(path), {recursive: true});
+
+    const temporaryPath = `${path}.tmp`;
+    await fs.writeFile(temporaryPath, JSON.stringify(data, null, 2), "utf8");
+    await fs.rename(temporaryPath, path);
+}